@@ -1,24 +1,44 @@
 import dotenv from 'dotenv';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { MAX_RETRY_COUNT, RETRY_DELAY } from './config.js';
+import { resolveScrapeOptions } from './config.js';
 
 // Import all the function modules
 import {
-  closeBrowser,
-  getBrowser,
-  getPage,
-  initBrowser,
+  closeBrowserSession,
+  createBrowserSession,
 } from './browser-ops/BrowserManager.js';
+import {
+  capturePage,
+  validateCaptureOptions,
+} from './browser-ops/PageCapture.js';
 import { navigateToUrl } from './browser-ops/PageNavigator.js';
+import {
+  createRequestStats,
+  resolveRequestPolicy,
+} from './browser-ops/RequestPolicy.js';
+import {
+  describeWaitCondition,
+  resolveWaitConditions,
+  waitForConditions,
+} from './browser-ops/WaitConditions.js';
+import {
+  resolvePageActions,
+  runPageActions,
+} from './browser-ops/PageActions.js';
+import { findNextPage } from './browser-ops/NextPageFinder.js';
 import infiniteScrollUntilNoMoreNewNetworkRequest from './browser-ops/PageScroller.js';
 import {
   convertAndImproveMarkdownFromHTML,
   convertAndImproveMarkdownFromMarkdown,
 } from './core/AIConvertors.js';
 import { combineContent } from './core/ContentCombiner.js';
+import { extractMetadata } from './core/MetadataExtractor.js';
+import { parseFormats, saveFormattedResult } from './core/OutputFormatter.js';
 import {
   convertToMarkdown,
+  extractImages,
+  extractLinks,
   fixAndFormatHTML,
 } from './core/ContentConvertor.js';
 import { handleIframes } from './core/IframesHandler.js';
@@ -26,12 +46,48 @@ import {
   findInteractiveElements,
   processInteractiveElementsContent,
 } from './core/InteractiveElementProcessor.js';
-import { saveToFile } from './utils/FileManager.js';
+import { assertRobotsAllowed } from './core/SiteDiscovery.js';
+import {
+  createExtractionSchema,
+  extractStructuredData,
+} from './core/StructuredExtractor.js';
+import {
+  captureAssetSession,
+  downloadImages,
+} from './utils/AssetDownloader.js';
+import { describeAuth, loadAuth } from './utils/AuthManager.js';
 import {
+  buildCacheKey,
+  getDefaultCacheStore,
+  hashContent,
+  normalizeCacheUrl,
+  readCacheEntry,
+  resolveCachePolicy,
+  revalidateCacheEntry,
+  writeCacheEntry,
+} from './utils/CacheManager.js';
+import {
+  buildOutputName,
+  IF_EXISTS_POLICIES,
+  saveToFile,
+} from './utils/FileManager.js';
+import { addFrontMatter, getFrontMatterFields } from './utils/FrontMatter.js';
+import {
+  createCancelledError,
+  createError,
+  EnhancedError,
   ERROR_CATEGORIES,
   getRetryConfig,
   handleError,
+  throwIfCancelled,
 } from './utils/GlobalErrorHandler.js';
+import { resolveLLMConfig } from './utils/LLMProvider.js';
+import {
+  reportProxyFailure,
+  reportProxySuccess,
+  selectProxy,
+  usesProxy,
+} from './utils/ProxyManager.js';
 import { SimplePerformanceMonitor } from './utils/SimplePerformanceMonitor.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -48,19 +104,176 @@ export const SCRAPING_MODES = {
   BEAST: 'beast',
 };
 
+/**
+ * Close the page once the modes have read its content
+ * The next listing page is looked up first when asked for: from the rel="next"
+ * link read with the metadata, which cleanup removes from the DOM, else from
+ * the live DOM, where a script-driven "Next" button is clicked.
+ * @param {Object} context - Scraping context
+ * @returns {Promise<void>}
+ */
+async function closePageAfterExtraction(context) {
+  const { nextPage, signal } = context.options;
+  if (nextPage) {
+    context.nextPage = await findNextPage(context.page, context.url, {
+      selector: typeof nextPage === 'string' ? nextPage : null,
+      relNext: context.metadata?.next,
+      signal,
+    });
+  }
+  await closeBrowserSession(context.session);
+}
+
 /**
  * Create scraping context with shared state and utilities
+ * @param {string} url - The URL being scraped
+ * @param {Object} options - Resolved scrape options for this call
  * @returns {Object} Scraping context with shared utilities
  */
-function createScrapingContext() {
+function createScrapingContext(url, options) {
   return {
-    currentMode: SCRAPING_MODES.NORMAL,
+    url,
+    options,
+    scrapedAt: new Date().toISOString(),
+    currentMode: options.mode,
+    progressCallback: options.progressCallback,
+    session: null,
     browser: null,
+    browserContext: null,
     page: null,
+    metadata: null, // page metadata, read before content cleanup drops the <head>
+    assetSession: null, // cookies and user agent for image downloads
+    assets: null, // { downloaded, skipped } when images were downloaded
+    proxy: null, // per-context proxy of this attempt
+    requestStats: null, // { policy, blocked, allowed, byReason } of this attempt
+    actionResults: null, // step results of the scripted actions
+    nextPage: null, // { url, via } of the next listing page, when asked for
+    cache: createScrapeCache(options),
     performanceMonitor: new SimplePerformanceMonitor(),
   };
 }
 
+/**
+ * Resolve the cache settings for one scrape
+ * @param {Object} options - Resolved scrape options
+ * @returns {Object|null} - { store, policy, ttl }, or null when caching is off
+ */
+function createScrapeCache(options) {
+  const policy = resolveCachePolicy(options.cache);
+  if (policy === 'off') {
+    return null;
+  }
+  return {
+    store: options.cacheStore || getDefaultCacheStore(),
+    policy,
+    ttl: options.cacheTtl,
+  };
+}
+
+/**
+ * Run an AI step through the cache
+ * Keys include a hash of the step's input and the model, so an entry is only
+ * reused for the same content, query and model.
+ * @param {Object} context - Scraping context
+ * @param {string} stage - Cache stage ('ai' or 'extraction')
+ * @param {Object} parts - Values identifying the call (content hash, query...)
+ * @param {Function} run - async () => output
+ * @param {Function} shouldStore - Whether an output is worth caching (default: non-empty)
+ * @returns {Promise<*>} - Cached or freshly computed output
+ */
+async function withAICache(context, stage, parts, run, shouldStore = Boolean) {
+  const { cache, progressCallback } = context;
+  if (!cache) {
+    return await run();
+  }
+
+  const llm = resolveLLMConfig(context.options.llm);
+  const key = buildCacheKey(stage, {
+    ...parts,
+    provider: llm.provider,
+    modelName: llm.modelName,
+  });
+
+  if (cache.policy === 'use') {
+    const entry = await readCacheEntry(cache.store, key);
+    if (entry?.fresh) {
+      console.log(`📦 Using cached ${stage} output`);
+      if (progressCallback) {
+        progressCallback({ type: 'cache_hit', stage });
+      }
+      return entry.value;
+    }
+  }
+
+  const output = await run();
+  if (shouldStore(output)) {
+    await writeCacheEntry(cache.store, key, output, { ttl: cache.ttl });
+  }
+  return output;
+}
+
+/**
+ * Download the images of markdown about to be saved when options.downloadImages
+ * is set, pointing it at the local copies (see utils/AssetDownloader.js)
+ * @param {Object} context - Scraping context
+ * @param {string} markdown - Markdown content
+ * @param {string} markdownFile - Markdown filename, relative to the output directory
+ * @returns {Promise<string>} - Markdown referencing the downloaded images
+ */
+async function localizeImages(context, markdown, markdownFile) {
+  const { options, progressCallback } = context;
+  if (!options.downloadImages) {
+    return markdown;
+  }
+
+  console.log('🖼️ Downloading images referenced in the markdown');
+  if (progressCallback) {
+    progressCallback({
+      type: 'progress',
+      message: 'Downloading images referenced in the markdown',
+    });
+  }
+
+  const download = await downloadImages(markdown, {
+    markdownFile,
+    outputDir: options.outputDir,
+    session: context.assetSession,
+    maxBytes: options.imageMaxBytes,
+    types: options.imageTypes,
+    signal: options.signal,
+  });
+  context.assets = {
+    downloaded: download.downloaded,
+    skipped: download.skipped,
+  };
+  return download.markdown;
+}
+
+/**
+ * Save a markdown file, prepending YAML front matter (source URL, scrape
+ * time, mode, query, content hash and page metadata) when options.frontMatter is set
+ * @param {Object} context - Scraping context
+ * @param {string} markdown - Markdown content
+ * @param {string} filename - Filename, relative to the output directory
+ */
+async function saveMarkdown(context, markdown, filename) {
+  markdown = await localizeImages(context, markdown, filename);
+  const content = context.options.frontMatter
+    ? addFrontMatter(
+        markdown,
+        getFrontMatterFields({
+          url: context.url,
+          mode: context.currentMode,
+          query: context.options.query,
+          scrapedAt: context.scrapedAt,
+          markdown,
+          metadata: context.metadata,
+        })
+      )
+    : markdown;
+  await saveToFile(content, filename, context.options);
+}
+
 /**
  * Process scraping in normal mode (simple extraction) with optional streaming support
  * @param {Object} context - Scraping context
@@ -99,7 +312,7 @@ async function processNormalMode(context, outputHtmlFilename, userQuery, url) {
   }
 
   const rawHTML = await context.page.content();
-  await closeBrowser();
+  await closePageAfterExtraction(context);
 
   console.log('📝 Converting HTML to markdown');
   if (progressCallback) {
@@ -113,7 +326,11 @@ async function processNormalMode(context, outputHtmlFilename, userQuery, url) {
 
   // Save HTML file only if outputHtmlFilename is provided (for backward compatibility)
   if (outputHtmlFilename) {
-    await saveToFile(cleanedHTML, `${outputHtmlFilename}.html`);
+    await saveToFile(
+      cleanedHTML,
+      `${outputHtmlFilename}.html`,
+      context.options
+    );
   }
 
   const rawMarkdown = await convertToMarkdown(cleanedHTML, url);
@@ -127,18 +344,27 @@ async function processNormalMode(context, outputHtmlFilename, userQuery, url) {
         message: 'Improving markdown with AI based on user query',
       });
     }
-    finalMarkdown = await convertAndImproveMarkdownFromMarkdown(
-      rawMarkdown,
-      userQuery
+    finalMarkdown = await withAICache(
+      context,
+      'ai',
+      { kind: 'markdown', content: hashContent(rawMarkdown), query: userQuery },
+      () =>
+        convertAndImproveMarkdownFromMarkdown(
+          rawMarkdown,
+          userQuery,
+          progressCallback,
+          context.options.llm,
+          context.options.signal
+        )
     );
 
     // Save improved markdown file only if outputHtmlFilename is provided
     if (outputHtmlFilename) {
-      await saveToFile(finalMarkdown, `${outputHtmlFilename}.md`);
+      await saveMarkdown(context, finalMarkdown, `${outputHtmlFilename}.md`);
     }
   } else if (outputHtmlFilename) {
     // Save raw markdown file only if outputHtmlFilename is provided
-    await saveToFile(rawMarkdown, `${outputHtmlFilename}.raw.md`);
+    await saveMarkdown(context, rawMarkdown, `${outputHtmlFilename}.raw.md`);
   }
 
   context.performanceMonitor.endPhase();
@@ -157,6 +383,7 @@ async function processNormalMode(context, outputHtmlFilename, userQuery, url) {
   return {
     enhancedError: null,
     markdown: finalMarkdown,
+    rawMarkdown,
     html: cleanedHTML,
   };
 }
@@ -339,50 +566,38 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
     });
   }
 
+  // Pages larger than the model's context budget are analyzed in chunks
   let interactiveElements;
-  if (clonedHTML.length > 800000) {
-    // Greater than 800K characters, skip AI analysis and fall back to normal mode (for gemini-2.5-flash it's safe to have 1M Context lenght, but to avoid extra junki websites, we are using 800K as a safe limit)
-    console.log(
-      `🔄 Skipping AI analysis for large HTML content, HTML length: ${clonedHTML.length} characters`
-    );
-    if (progressCallback) {
-      progressCallback({
-        type: 'log',
-        level: 'info',
-        message: `Skipping AI analysis for large HTML content, HTML length: ${clonedHTML.length} characters`,
-      });
-    }
-    context.performanceMonitor.endPhase();
-    return await processNormalMode(context, outputHtmlFilename, userQuery, url);
-  } else {
-    console.log(`📄 Analyzing ${clonedHTML.length} characters of HTML content`);
-    if (progressCallback) {
-      progressCallback({
-        type: 'log',
-        level: 'info',
-        message: `Analyzing ${clonedHTML.length} characters of HTML content`,
-      });
-    }
+  console.log(`📄 Analyzing ${clonedHTML.length} characters of HTML content`);
+  if (progressCallback) {
+    progressCallback({
+      type: 'log',
+      level: 'info',
+      message: `Analyzing ${clonedHTML.length} characters of HTML content`,
+    });
+  }
 
-    try {
-      interactiveElements = await findInteractiveElements(
-        clonedHTML,
-        userQuery,
-        progressCallback
-      );
-    } catch (error) {
-      const handledError = await handleError(error, {
-        operation: 'findInteractiveElements',
-        url: context.page?.url?.() || 'unknown',
-        userQuery,
-      });
+  try {
+    interactiveElements = await findInteractiveElements(
+      clonedHTML,
+      userQuery,
+      progressCallback,
+      context.options.llm,
+      context.options.signal
+    );
+  } catch (error) {
+    throwIfCancelled(context.options.signal);
+    const handledError = await handleError(error, {
+      operation: 'findInteractiveElements',
+      url: context.page?.url?.() || 'unknown',
+      userQuery,
+    });
 
-      if (!handledError.shouldRetry) {
-        enhancedError = handledError;
-        interactiveElements = { elements: [] };
-      } else {
-        throw handledError; // Allow retry for retryable errors
-      }
+    if (!handledError.shouldRetry) {
+      enhancedError = handledError;
+      interactiveElements = { elements: [] };
+    } else {
+      throw handledError; // Allow retry for retryable errors
     }
   }
 
@@ -421,9 +636,11 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
 
       dynamicContents = await processInteractiveElementsContent(
         context.page,
-        interactiveElements
+        interactiveElements,
+        context.options.signal
       );
     } catch (error) {
+      throwIfCancelled(context.options.signal);
       const handledError = await handleError(error, {
         operation: 'processInteractiveElementsContent',
         url: context.page?.url?.() || 'unknown',
@@ -479,7 +696,7 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
     });
   }
   const combinedHtml = await combineContent(context.page, dynamicContents);
-  await closeBrowser();
+  await closePageAfterExtraction(context);
 
   console.log('🧹 Cleaning and formatting HTML content');
   if (progressCallback) {
@@ -492,7 +709,11 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
 
   // Save HTML file only if outputHtmlFilename is provided (for backward compatibility)
   if (outputHtmlFilename) {
-    await saveToFile(cleanedHTML, `${outputHtmlFilename}.html`);
+    await saveToFile(
+      cleanedHTML,
+      `${outputHtmlFilename}.html`,
+      context.options
+    );
   }
 
   // Step 4: Convert to markdown and improve with AI
@@ -508,15 +729,23 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
           'Converting to markdown and improving with AI based on user query',
       });
     }
-    finalMarkdown = await convertAndImproveMarkdownFromHTML(
-      cleanedHTML,
-      userQuery,
-      progressCallback
+    finalMarkdown = await withAICache(
+      context,
+      'ai',
+      { kind: 'html', content: hashContent(cleanedHTML), query: userQuery },
+      () =>
+        convertAndImproveMarkdownFromHTML(
+          cleanedHTML,
+          userQuery,
+          progressCallback,
+          context.options.llm,
+          context.options.signal
+        )
     );
 
     // Save improved markdown file only if outputHtmlFilename is provided
     if (outputHtmlFilename) {
-      await saveToFile(finalMarkdown, `${outputHtmlFilename}.md`);
+      await saveMarkdown(context, finalMarkdown, `${outputHtmlFilename}.md`);
     }
   } else {
     console.log('📝 Converting HTML to markdown');
@@ -530,7 +759,11 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
 
     // Save raw markdown file only if outputHtmlFilename is provided
     if (outputHtmlFilename) {
-      await saveToFile(finalMarkdown, `${outputHtmlFilename}.raw.md`);
+      await saveMarkdown(
+        context,
+        finalMarkdown,
+        `${outputHtmlFilename}.raw.md`
+      );
     }
   }
 
@@ -549,174 +782,174 @@ async function processBeastMode(context, outputHtmlFilename, userQuery, url) {
   return {
     enhancedError,
     markdown: finalMarkdown,
+    rawMarkdown: userQuery ? null : finalMarkdown,
     html: cleanedHTML,
   };
 }
 
 /**
- * Main scraper function that orchestrates the entire process
- * @param {string} url - The URL to scrape
- * @param {string} outputHtmlFilename - The filename to save the result as (default: "scraped")
+ * Process a page served from the cache, without opening a browser
+ * @param {Object} context - Scraping context
+ * @param {Object} cachedPage - Cached { html, markdown, metadata } (markdown is null when not cached)
+ * @param {string} outputHtmlFilename - Output filename
  * @param {string} userQuery - Optional user query for focused content extraction
- * @param {string} mode - Scraping mode (NORMAL or BEAST, default: BEAST)
- * @returns {Promise<boolean>} - Success status
+ * @param {string} url - The original URL being scraped (for absolute URL conversion)
+ * @returns {Object} Processing result with enhancedError, markdown, and html
  */
-export async function scrape(
-  url,
-  outputHtmlFilename = 'scraped',
-  userQuery = '',
-  mode = SCRAPING_MODES.NORMAL
+async function processCachedPage(
+  context,
+  cachedPage,
+  outputHtmlFilename,
+  userQuery,
+  url
 ) {
-  let retryCount = 0;
-  let success = false;
-  let enhancedError = null;
-  let context = null;
-
-  while (retryCount < MAX_RETRY_COUNT && !success) {
-    try {
-      // Create scraping context
-      context = createScrapingContext();
-      context.currentMode = mode;
-
-      console.log(`🔄 Scraping ${url} (attempt ${retryCount + 1})`);
-
-      // Start performance monitoring
-      context.performanceMonitor.start();
-
-      // Step 1: Initialize browser and get page
-      context.performanceMonitor.startPhase('browser setup');
-      const browserInitialized = await initBrowser();
-      if (!browserInitialized) {
-        throw new Error('Failed to initialize browser');
-      }
-
-      context.browser = getBrowser();
-      context.page = getPage();
-
-      // Set browser context for enhanced monitoring
-      context.performanceMonitor.setBrowserContext(context.page);
-
-      context.performanceMonitor.endPhase();
-
-      // Step 2: Navigate to URL and wait for page to stabilize
-      context.performanceMonitor.startPhase('page loading');
-      await navigateToUrl(context.page, url);
-      await infiniteScrollUntilNoMoreNewNetworkRequest(context.page);
-      context.performanceMonitor.endPhase();
-
-      // Step 3: Process iframes by extracting their content
-      context.performanceMonitor.startPhase('iframe processing');
-      await handleIframes(context.page);
-      context.performanceMonitor.endPhase();
+  const progressCallback = context.progressCallback;
+  const { html } = cachedPage;
 
-      let result;
-      if (context.currentMode === SCRAPING_MODES.NORMAL) {
-        result = await processNormalMode(
-          context,
-          outputHtmlFilename,
-          userQuery,
-          url
-        );
-      } else {
-        result = await processBeastMode(
-          context,
-          outputHtmlFilename,
-          userQuery,
-          url
-        );
-      }
-      enhancedError = result.enhancedError;
+  console.log('🔄 Processing cached page content');
+  if (progressCallback) {
+    progressCallback({
+      type: 'phase_start',
+      phase: 'cached-content',
+      message: 'Processing cached page content',
+    });
+  }
 
-      success = true;
+  if (outputHtmlFilename) {
+    await saveToFile(html, `${outputHtmlFilename}.html`, context.options);
+  }
 
-      // Stop performance monitoring
-      context.performanceMonitor.stop();
+  const rawMarkdown =
+    cachedPage.markdown ?? (await convertToMarkdown(html, url));
+  let finalMarkdown = rawMarkdown;
 
-      // Show final status
-      if (enhancedError) {
-        console.log(
-          `⚠️ Scraping completed with limitations: ${enhancedError.userMessage}`
-        );
-      } else {
-        console.log('✅ Scraping completed successfully with all features!');
-      }
-    } catch (error) {
-      // Handle the error with our global error handler
-      const handledError = await handleError(error, {
-        operation: 'scrape',
-        url,
-        attempt: retryCount + 1,
-        mode: context?.currentMode || mode,
-        outputFile: outputHtmlFilename,
-      });
+  if (userQuery) {
+    console.log('🤖 Improving markdown with AI based on user query');
+    // Same AI input as the live modes, so their cached AI outputs are reused too
+    finalMarkdown =
+      context.currentMode === SCRAPING_MODES.NORMAL
+        ? await withAICache(
+            context,
+            'ai',
+            {
+              kind: 'markdown',
+              content: hashContent(rawMarkdown),
+              query: userQuery,
+            },
+            () =>
+              convertAndImproveMarkdownFromMarkdown(
+                rawMarkdown,
+                userQuery,
+                progressCallback,
+                context.options.llm,
+                context.options.signal
+              )
+          )
+        : await withAICache(
+            context,
+            'ai',
+            { kind: 'html', content: hashContent(html), query: userQuery },
+            () =>
+              convertAndImproveMarkdownFromHTML(
+                html,
+                userQuery,
+                progressCallback,
+                context.options.llm,
+                context.options.signal
+              )
+          );
 
-      // Check if this error should stop retries
-      if (
-        !handledError.shouldRetry ||
-        handledError.category === ERROR_CATEGORIES.RATE_LIMIT
-      ) {
-        console.log(
-          `\n🛑 Scraping stopped - Error ID: ${handledError.stackId}`
-        );
-        break; // Don't retry for auth, rate limit, or non-retryable errors
-      }
+    if (outputHtmlFilename) {
+      await saveMarkdown(context, finalMarkdown, `${outputHtmlFilename}.md`);
+    }
+  } else if (outputHtmlFilename) {
+    await saveMarkdown(context, rawMarkdown, `${outputHtmlFilename}.raw.md`);
+  }
 
-      retryCount++;
+  if (progressCallback) {
+    progressCallback({
+      type: 'phase_end',
+      phase: 'cached-content',
+      success: true,
+      markdownLength: finalMarkdown?.length || 0,
+      htmlLength: html?.length || 0,
+    });
+  }
 
-      if (retryCount < MAX_RETRY_COUNT) {
-        const retryConfig = getRetryConfig(handledError);
-        const delay =
-          retryConfig.strategy === 'exponential'
-            ? RETRY_DELAY * Math.pow(2, retryCount - 1)
-            : RETRY_DELAY;
+  return {
+    enhancedError: null,
+    markdown: finalMarkdown,
+    rawMarkdown,
+    html,
+  };
+}
 
-        console.log(
-          `🔄 Retrying in ${delay}ms... (attempt ${
-            retryCount + 1
-          }/${MAX_RETRY_COUNT})`
-        );
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.log(
-          `\n❌ Maximum retry attempts (${MAX_RETRY_COUNT}) reached - Error ID: ${handledError.stackId}`
-        );
-      }
-    } finally {
-      // Always close browser in finally block
-      if (context && context.browser) {
-        await closeBrowser();
-      }
+/**
+ * Look up a cached copy of the page, revalidating a stale one with the server
+ * @param {Object} cache - Cache settings from createScrapeCache
+ * @param {string} key - Page cache key
+ * @param {string} url - Page URL
+ * @param {Object} options - Resolved scrape options
+ * @returns {Promise<Object|null>} - Cached { html, markdown, metadata }, or null when the page must be scraped
+ */
+async function readCachedPage(cache, key, url, options) {
+  const entry = await readCacheEntry(cache.store, key);
+  if (!entry) {
+    return null;
+  }
 
-      // Stop performance monitoring if it was started
-      if (
-        context &&
-        context.performanceMonitor &&
-        context.performanceMonitor.monitoringInterval
-      ) {
-        context.performanceMonitor.stop();
-      }
+  let revalidated = false;
+  if (!entry.fresh) {
+    // A plain request skips the scrape's proxy and credentials, so it would
+    // check another response than the one cached: scrape the page again
+    if (options.auth || usesProxy(options.proxy)) {
+      return null;
     }
+    revalidated = await revalidateCacheEntry(url, entry, {
+      userAgent: options.userAgent,
+    });
+    if (!revalidated) {
+      return null;
+    }
+    // Unchanged upstream, keep the entry for another TTL
+    await writeCacheEntry(cache.store, key, entry.value, {
+      ttl: cache.ttl,
+      etag: entry.etag,
+      lastModified: entry.lastModified,
+    });
   }
 
-  return success;
+  console.log(
+    `📦 Using cached page for ${url}${revalidated ? ' (revalidated, not modified)' : ''}`
+  );
+  if (options.progressCallback) {
+    options.progressCallback({
+      type: 'cache_hit',
+      stage: 'page',
+      url,
+      revalidated,
+    });
+  }
+  return entry.value;
 }
 
 /**
- * Streaming-enabled scraper function
+ * Run the scraping pipeline with retries for a single URL
  * @param {string} url - The URL to scrape
- * @param {string} outputHtmlFilename - The filename identifier (default: "scraped")
- * @param {string} userQuery - Optional user query for focused content extraction
- * @param {string} mode - Scraping mode (NORMAL or BEAST, default: BEAST)
- * @param {Function} progressCallback - Optional callback for streaming progress updates
+ * @param {Object} options - Resolved scrape options (see resolveScrapeOptions)
  * @returns {Promise<Object>} - Structured result with markdown and HTML content
  */
-export async function scrapeWithStreaming(
-  url,
-  outputHtmlFilename = 'scraped',
-  userQuery = '',
-  mode = SCRAPING_MODES.NORMAL,
-  progressCallback = null
-) {
+async function runScrape(url, options) {
+  const {
+    mode,
+    query: userQuery,
+    outputFilename,
+    saveFiles,
+    progressCallback,
+    maxRetryCount,
+    retryDelay,
+    signal,
+  } = options;
   const startTime = Date.now();
   let retryCount = 0;
   let success = false;
@@ -724,6 +957,10 @@ export async function scrapeWithStreaming(
   let context = null;
   let finalMarkdown = null;
   let finalHtml = null;
+  let rawMarkdown = null;
+  let mainResponse = null;
+  let extraction = null;
+  let captures = [];
 
   // Helper function to log with streaming support
   const logWithStreaming = (message, level = 'info') => {
@@ -743,21 +980,143 @@ export async function scrapeWithStreaming(
   try {
     logWithStreaming(`Starting scraping process for ${url}`, 'info');
 
-    while (retryCount < MAX_RETRY_COUNT && !success) {
+    // Compile the extraction schema first so a bad schema fails before any browser work
+    const extractionSchema = options.schema
+      ? createExtractionSchema(options.schema)
+      : null;
+
+    if (saveFiles && !IF_EXISTS_POLICIES.includes(options.ifExists)) {
+      throw createError(`Invalid ifExists policy "${options.ifExists}"`, {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: `ifExists must be one of: ${IF_EXISTS_POLICIES.join(', ')}`,
+      });
+    }
+
+    validateCaptureOptions(options);
+
+    // Read cookie and storage state files now, so a bad file fails before any browser work
+    const auth = await loadAuth(options.auth);
+    if (auth) {
+      console.log(`🔐 Authenticated scrape: ${describeAuth(auth)}`);
+    }
+
+    const requestPolicy = resolveRequestPolicy(
+      options.requestPolicy,
+      options.blockedResourceTypes
+    );
+    const waitConditions = resolveWaitConditions(options.waitFor);
+    const actions = resolvePageActions(options.actions);
+
+    let formats = null;
+    if (options.formats?.length) {
+      try {
+        formats = parseFormats(options.formats);
+      } catch (error) {
+        throw createError(error.message, {
+          category: ERROR_CATEGORIES.VALIDATION,
+          userMessage: `${error.message}.`,
+        });
+      }
+    }
+
+    // Saved files are named <outputFilename>.<ext>, or after the filename template
+    const outputHtmlFilename = saveFiles
+      ? buildOutputName(outputFilename, options, {
+          url,
+          mode,
+          query: userQuery,
+        })
+      : null;
+
+    // The modes save the default .html/.md files, chosen formats are saved at the end
+    const modeOutputFilename = formats ? null : outputHtmlFilename;
+
+    // Serve the page from the cache when an entry is fresh or still valid upstream
+    const pageCache = createScrapeCache(options);
+    // Authenticated pages are cached per credentials, never served to other callers
+    const pageCacheKey =
+      pageCache &&
+      buildCacheKey('page', {
+        url: normalizeCacheUrl(url),
+        mode,
+        auth: auth ? hashContent(JSON.stringify(auth)) : undefined,
+        // Blocked scripts, styles or data requests change the rendered page
+        requestPolicy: hashContent(
+          JSON.stringify({
+            ...requestPolicy,
+            urlPatterns: requestPolicy.urlPatterns.map(String),
+            allow: requestPolicy.allow.map(String),
+          })
+        ),
+        // Waiting for content can capture more of the page than network idle
+        waitFor:
+          waitConditions.length > 0
+            ? hashContent(JSON.stringify(waitConditions))
+            : undefined,
+        // Scripted actions change what the page shows
+        actions:
+          actions.length > 0 ? hashContent(JSON.stringify(actions)) : undefined,
+      });
+    // Screenshots, PDFs and next page links need the live page, so they skip cached pages
+    const wantsCaptures = !!(options.screenshot || options.pdf);
+    const cachedPage =
+      pageCache?.policy === 'use' && !wantsCaptures && !options.nextPage
+        ? await readCachedPage(pageCache, pageCacheKey, url, options)
+        : null;
+
+    if (cachedPage) {
+      context = createScrapingContext(url, options);
+      context.metadata = cachedPage.metadata || null;
+      const cachedResult = await processCachedPage(
+        context,
+        cachedPage,
+        modeOutputFilename,
+        userQuery,
+        url
+      );
+      finalMarkdown = cachedResult.markdown;
+      finalHtml = cachedResult.html;
+      success = true;
+    }
+
+    // Close the browser as soon as the scrape is cancelled, so pending page
+    // operations fail fast; the catch below reports it as a cancellation
+    const closeOnAbort = () => {
+      if (context?.session) {
+        closeBrowserSession(context.session);
+      }
+    };
+    signal?.addEventListener('abort', closeOnAbort);
+
+    while (retryCount < maxRetryCount && !success) {
       try {
+        throwIfCancelled(signal);
         logWithStreaming(
-          `Scraping ${url} (attempt ${retryCount + 1}/${MAX_RETRY_COUNT})`,
+          `Scraping ${url} (attempt ${retryCount + 1}/${maxRetryCount})`,
           'info'
         );
 
         // Create scraping context
-        context = createScrapingContext();
-        context.currentMode = mode;
-        context.progressCallback = progressCallback;
+        context = createScrapingContext(url, options);
 
         // Start performance monitoring
         context.performanceMonitor.start();
 
+        // Honour robots.txt before opening a browser (blocked URLs are not retried)
+        if (options.respectRobotsTxt) {
+          const robots = await assertRobotsAllowed(url, {
+            userAgent: options.userAgent,
+          });
+          if (progressCallback) {
+            progressCallback({
+              type: 'robots_check',
+              url,
+              allowed: true,
+              crawlDelay: robots.crawlDelay,
+            });
+          }
+        }
+
         // Step 1: Initialize browser and get page
         console.log('🔄 Initializing browser and setting up page');
         if (progressCallback) {
@@ -769,13 +1128,31 @@ export async function scrapeWithStreaming(
         }
         context.performanceMonitor.startPhase('browser setup');
 
-        const browserInitialized = await initBrowser();
-        if (!browserInitialized) {
+        // Every attempt picks a proxy, so a retry after a proxy failure goes through another one
+        context.proxy = selectProxy(options.proxy);
+        if (context.proxy) {
+          console.log(`🌐 Using proxy ${context.proxy.server}`);
+        }
+
+        context.session = options.browserPool
+          ? await options.browserPool.acquire({
+              ...options,
+              auth,
+              proxy: context.proxy,
+            })
+          : await createBrowserSession({
+              ...options,
+              auth,
+              proxy: context.proxy,
+            });
+        if (!context.session) {
           throw new Error('Failed to initialize browser');
         }
 
-        context.browser = getBrowser();
-        context.page = getPage();
+        context.browser = context.session.browser;
+        context.browserContext = context.session.context;
+        context.page = context.session.page;
+        throwIfCancelled(signal);
 
         // Set browser context for enhanced monitoring
         context.performanceMonitor.setBrowserContext(context.page);
@@ -786,6 +1163,8 @@ export async function scrapeWithStreaming(
             phase: 'browser-setup',
             success: true,
             browser: 'initialized',
+            sessionId: context.session.id,
+            proxy: context.proxy?.server || null,
           });
         }
 
@@ -800,7 +1179,36 @@ export async function scrapeWithStreaming(
         }
         context.performanceMonitor.startPhase('page loading');
 
-        await navigateToUrl(context.page, url);
+        context.requestStats = createRequestStats(requestPolicy);
+        mainResponse = await navigateToUrl(context.page, url, {
+          ...options,
+          requestPolicy,
+          requestStats: context.requestStats,
+          waitConditions,
+        });
+        if (waitConditions.length > 0) {
+          console.log(
+            `⏳ Waiting for ${waitConditions.map(describeWaitCondition).join(', then ')}`
+          );
+          await waitForConditions(context.page, waitConditions, {
+            timeout: options.waitTimeout,
+            signal,
+          });
+        }
+        if (actions.length > 0) {
+          if (progressCallback) {
+            progressCallback({
+              type: 'progress',
+              message: `Running ${actions.length} scripted actions`,
+            });
+          }
+          context.actionResults = [];
+          await runPageActions(context.page, actions, {
+            results: context.actionResults,
+            progressCallback,
+            signal,
+          });
+        }
         console.log(
           '📄 Page loaded, performing infinite scroll to load dynamic content'
         );
@@ -812,8 +1220,16 @@ export async function scrapeWithStreaming(
           });
         }
 
-        await infiniteScrollUntilNoMoreNewNetworkRequest(context.page);
+        await infiniteScrollUntilNoMoreNewNetworkRequest(context.page, {
+          signal,
+        });
+        throwIfCancelled(signal);
         context.performanceMonitor.endPhase();
+        if (context.requestStats.blocked > 0) {
+          console.log(
+            `🚫 Blocked ${context.requestStats.blocked} requests (${requestPolicy.name} policy)`
+          );
+        }
         console.log('✅ Page loading completed successfully');
         if (progressCallback) {
           progressCallback({
@@ -824,6 +1240,31 @@ export async function scrapeWithStreaming(
           });
         }
 
+        // Capture what the scraper sees, before iframes and interactions change the page
+        if (wantsCaptures) {
+          console.log('📸 Capturing the rendered page');
+          if (progressCallback) {
+            progressCallback({
+              type: 'phase_start',
+              phase: 'page-capture',
+              message: 'Capturing the rendered page',
+            });
+          }
+          context.performanceMonitor.startPhase('page capture');
+
+          captures = await capturePage(context.page, options);
+          throwIfCancelled(signal);
+          context.performanceMonitor.endPhase();
+          if (progressCallback) {
+            progressCallback({
+              type: 'phase_end',
+              phase: 'page-capture',
+              success: true,
+              captures: captures.map(capture => capture.kind),
+            });
+          }
+        }
+
         // Step 3: Process iframes by extracting their content
         console.log('🔄 Processing iframe content');
         if (progressCallback) {
@@ -836,6 +1277,7 @@ export async function scrapeWithStreaming(
         context.performanceMonitor.startPhase('iframe processing');
 
         await handleIframes(context.page);
+        throwIfCancelled(signal);
         context.performanceMonitor.endPhase();
         console.log('✅ Iframe processing completed successfully');
         if (progressCallback) {
@@ -846,19 +1288,32 @@ export async function scrapeWithStreaming(
           });
         }
 
-        // Step 4: Execute scraping based on mode
+        // Read title, OpenGraph, JSON-LD etc. while the <head> is still there
+        context.metadata = extractMetadata(await context.page.content(), url);
+
+        // The browser closes before markdown is saved, keep its cookies for image downloads
+        if (saveFiles && options.downloadImages) {
+          context.assetSession = await captureAssetSession(
+            context.browserContext,
+            context.page,
+            auth,
+            context.proxy
+          );
+        }
+
+        // Step 4: Execute scraping based on mode, saving files only when asked to
         let scrapingResult;
         if (context.currentMode === SCRAPING_MODES.NORMAL) {
           scrapingResult = await processNormalMode(
             context,
-            null, // Don't save files in streaming mode
+            modeOutputFilename,
             userQuery,
             url
           );
         } else {
           scrapingResult = await processBeastMode(
             context,
-            null, // Don't save files in streaming mode
+            modeOutputFilename,
             userQuery,
             url
           );
@@ -867,8 +1322,12 @@ export async function scrapeWithStreaming(
         enhancedError = scrapingResult.enhancedError;
         finalMarkdown = scrapingResult.markdown;
         finalHtml = scrapingResult.html;
+        rawMarkdown = scrapingResult.rawMarkdown;
 
         success = true;
+        if (context.proxy) {
+          reportProxySuccess(context.proxy);
+        }
 
         // Stop performance monitoring
         context.performanceMonitor.stop();
@@ -900,39 +1359,73 @@ export async function scrapeWithStreaming(
           });
         }
 
-        // Handle the error with our global error handler
-        const handledError = await handleError(error, {
-          operation: 'scrapeWithStreaming',
-          url,
-          attempt: retryCount + 1,
-          mode: context?.currentMode || mode,
-          outputFile: outputHtmlFilename,
-        });
+        // Handle the error with our global error handler; anything thrown
+        // after an abort is a cancellation and is never retried
+        const handledError = await handleError(
+          signal?.aborted ? createCancelledError(signal) : error,
+          {
+            operation: 'scrape',
+            url,
+            attempt: retryCount + 1,
+            mode: context?.currentMode || mode,
+            outputFile: outputFilename,
+          }
+        );
+        enhancedError = handledError;
+
+        if (
+          context?.proxy &&
+          handledError.category === ERROR_CATEGORIES.PROXY
+        ) {
+          reportProxyFailure(context.proxy);
+        }
+
+        // Check if this error should stop retries
+        if (
+          !handledError.shouldRetry ||
+          handledError.category === ERROR_CATEGORIES.RATE_LIMIT
+        ) {
+          logWithStreaming(
+            `Scraping stopped - Error ID: ${handledError.stackId}`,
+            'error'
+          );
+          break; // Don't retry for auth, rate limit, or non-retryable errors
+        }
 
         retryCount++;
 
-        if (retryCount < MAX_RETRY_COUNT) {
+        if (retryCount < maxRetryCount) {
           const retryConfig = getRetryConfig(handledError);
           const delay =
             retryConfig.strategy === 'exponential'
-              ? RETRY_DELAY * Math.pow(2, retryCount - 1)
-              : RETRY_DELAY;
+              ? retryDelay * Math.pow(2, retryCount - 1)
+              : retryDelay;
 
           logWithStreaming(
-            `Retrying in ${delay}ms... (attempt ${retryCount + 1}/${MAX_RETRY_COUNT})`,
+            `Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetryCount})`,
             'info'
           );
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            signal?.addEventListener(
+              'abort',
+              () => {
+                clearTimeout(timer);
+                resolve();
+              },
+              { once: true }
+            );
+          });
         } else {
           logWithStreaming(
-            `Maximum retry attempts (${MAX_RETRY_COUNT}) reached - Error ID: ${handledError.stackId}`,
+            `Maximum retry attempts (${maxRetryCount}) reached - Error ID: ${handledError.stackId}`,
             'error'
           );
         }
       } finally {
-        // Always close browser in finally block
-        if (context && context.browser) {
-          await closeBrowser();
+        // Always close this attempt's browser session in finally block
+        if (context && context.session) {
+          await closeBrowserSession(context.session);
         }
 
         // Stop performance monitoring if it was started
@@ -945,6 +1438,76 @@ export async function scrapeWithStreaming(
         }
       }
     }
+    signal?.removeEventListener('abort', closeOnAbort);
+
+    // Cache the scraped page, unless it came from the cache, is incomplete or
+    // is an error page (failed loads and 4xx/5xx responses would be served for the TTL)
+    const loadedOk = mainResponse?.status >= 200 && mainResponse.status < 300;
+    if (success && pageCache && !cachedPage && !enhancedError && loadedOk) {
+      await writeCacheEntry(
+        pageCache.store,
+        pageCacheKey,
+        { html: finalHtml, markdown: rawMarkdown, metadata: context.metadata },
+        {
+          ttl: pageCache.ttl,
+          etag: mainResponse.headers.etag,
+          lastModified: mainResponse.headers['last-modified'],
+        }
+      );
+    }
+
+    // Step 5: Extract structured data from the final markdown when a schema is given
+    if (success && extractionSchema) {
+      console.log('🔄 Extracting structured data');
+      if (progressCallback) {
+        progressCallback({
+          type: 'phase_start',
+          phase: 'structured-extraction',
+          message: 'Extracting structured data matching the schema',
+        });
+      }
+
+      const instruction = options.instruction || userQuery;
+      extraction = await withAICache(
+        context,
+        'extraction',
+        {
+          content: hashContent(finalMarkdown),
+          schema: hashContent(JSON.stringify(extractionSchema.jsonSchema)),
+          instruction,
+        },
+        () =>
+          extractStructuredData(
+            finalMarkdown,
+            extractionSchema,
+            instruction,
+            progressCallback,
+            options.llm,
+            options.extractionAttempts,
+            signal
+          ),
+        result => result.valid
+      );
+
+      // The json format already carries the data
+      if (saveFiles && extraction.data !== null && !formats?.includes('json')) {
+        await saveToFile(
+          JSON.stringify(extraction.data, null, 2),
+          `${outputHtmlFilename}.json`,
+          options
+        );
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          type: 'phase_end',
+          phase: 'structured-extraction',
+          success: extraction.valid,
+          attempts: extraction.attempts,
+          errors: extraction.errors,
+        });
+      }
+    }
 
     // Complete the streaming process
     const processingTime = Date.now() - startTime;
@@ -952,11 +1515,73 @@ export async function scrapeWithStreaming(
       success,
       markdown: finalMarkdown,
       html: finalHtml,
+      // Inventory of the final page content, resolved against the page URL
+      links: finalHtml ? extractLinks(finalHtml, url) : [],
+      images: finalHtml ? extractImages(finalHtml, url) : [],
+      data: extraction ? extraction.data : null,
+      dataValid: extraction ? extraction.valid : null,
+      dataErrors: extraction ? extraction.errors : [],
+      metadata: context?.metadata || null,
+      // Requests the policy blocked and let through while the page was open
+      requests: context?.requestStats || null,
+      scrapedAt: context?.scrapedAt || new Date(startTime).toISOString(),
+      cached: !!cachedPage,
       processingTime,
+      phases: (context?.performanceMonitor.phases || []).map(
+        ({ name, duration }) => ({ name, duration })
+      ),
       enhancedError,
     };
 
-    console.log(`🎉 Streaming completed successfully (${processingTime}ms)`);
+    if (saveFiles && formats && success) {
+      result.files = await saveFormattedResult(
+        {
+          ...result,
+          markdown: await localizeImages(
+            context,
+            finalMarkdown,
+            `${outputHtmlFilename}.md`
+          ),
+        },
+        formats,
+        outputHtmlFilename,
+        options,
+        {
+          url,
+          mode: context?.currentMode || mode,
+          query: userQuery,
+          frontMatter: options.frontMatter,
+        }
+      );
+    }
+
+    if (context?.assets) {
+      result.assets = context.assets;
+    }
+
+    if (context?.actionResults) {
+      result.actions = context.actionResults;
+    }
+
+    if (options.nextPage) {
+      result.nextPage = context?.nextPage || null;
+    }
+
+    if (wantsCaptures) {
+      // Saved as <outputFilename>.png/.jpg/.pdf, next to the other files
+      if (saveFiles && success) {
+        for (const capture of captures) {
+          capture.file = await saveToFile(
+            Buffer.from(capture.data, 'base64'),
+            `${outputHtmlFilename}.${capture.extension}`,
+            options
+          );
+        }
+      }
+      result.captures = captures;
+    }
+
+    console.log(`🎉 Scraping finished (${processingTime}ms)`);
     if (progressCallback) {
       progressCallback({
         type: 'stream_complete',
@@ -977,7 +1602,125 @@ export async function scrapeWithStreaming(
       html: null,
       processingTime: Date.now() - startTime,
       error: error.message,
-      enhancedError: null,
+      enhancedError: error instanceof EnhancedError ? error : null,
     };
   }
 }
+
+/**
+ * Check whether the arguments after the URL use the options-object form
+ * @param {Array} args - Arguments following the URL
+ * @returns {boolean} True for scrape(url, options)
+ */
+function isOptionsCall(args) {
+  return args.length === 1 && typeof args[0] === 'object' && args[0] !== null;
+}
+
+/**
+ * Main scraper function that orchestrates the entire process
+ *
+ * Preferred form: scrape(url, options) resolving to the structured result.
+ * The legacy positional form scrape(url, outputHtmlFilename, userQuery, mode)
+ * is still supported and resolves to a boolean success status.
+ *
+ * @param {string} url - The URL to scrape
+ * @param {Object} [options] - Per-call options, all optional
+ * @param {string} [options.mode] - Scraping mode (NORMAL or BEAST, default: NORMAL)
+ * @param {string} [options.query] - User query for focused content extraction
+ * @param {string} [options.outputFilename] - Output file prefix (default: "scraped")
+ * @param {boolean} [options.saveFiles] - Save .html/.md files (default: true)
+ * @param {string} [options.outputDir] - Directory saved files go to (default: SNIFFHUNT_OUTPUT_DIR or the repository root)
+ * @param {string} [options.filenameTemplate] - Name saved files after a template such as "{host}/{path-slug}-{date}" (see utils/FileManager.js)
+ * @param {string} [options.ifExists] - When a saved file exists: 'overwrite', 'skip' or 'version' (default: 'overwrite')
+ * @param {Array<string>} [options.formats] - Save these formats instead of the default .html/.md files: markdown, json, text, html, jsonl (see core/OutputFormatter.js)
+ * @param {boolean} [options.frontMatter] - Prepend YAML front matter to saved markdown: source URL, scrape time, mode, query, content hash and the page title, description, author, dates, canonical URL and language
+ * @param {boolean} [options.downloadImages] - Save the markdown's images in an assets directory next to it and link them locally; the result gets `assets` ({ downloaded, skipped })
+ * @param {number} [options.imageMaxBytes] - Largest image downloaded (default: ASSET_MAX_BYTES, 5 MB)
+ * @param {Array<string>} [options.imageTypes] - Image content types downloaded (default: png, jpeg, gif, webp, avif, svg)
+ * @param {string} [options.screenshot] - Screenshot the rendered page: 'full' (whole page) or 'viewport'; the result gets `captures` (base64 data, plus `file` when saving)
+ * @param {string} [options.screenshotType] - 'png' (default) or 'jpeg'
+ * @param {boolean} [options.pdf] - Export the rendered page as PDF
+ * @param {Object} [options.auth] - Log in before navigating: { cookies (array or Netscape/JSON cookie file path), headers, httpCredentials: { username, password }, storageState (object or file path) }; secrets are redacted from logs and errors
+ * @param {string|Object|Array|boolean} [options.proxy] - Proxy URL or { server, username, password, bypass }, a list to rotate, or false for none (default: PROXY_LIST env)
+ * @param {Function} [options.progressCallback] - Callback for progress updates
+ * @param {number} [options.maxRetryCount] - Maximum attempts (default: MAX_RETRY_COUNT)
+ * @param {number} [options.retryDelay] - Base retry delay in ms (default: RETRY_DELAY)
+ * @param {number} [options.pageTimeout] - Navigation timeout in ms (default: PAGE_TIMEOUT)
+ * @param {Object} [options.viewport] - Page viewport ({ width, height })
+ * @param {string|Object} [options.requestPolicy] - Requests to block: 'fast', 'faithful', 'minimal' or a policy object (see browser-ops/RequestPolicy.js, default: REQUEST_POLICY env or 'fast'); the result gets `requests` counts
+ * @param {Array<string>} [options.blockedResourceTypes] - Resource types to abort, replacing those of the request policy
+ * @param {string|Object|Array} [options.waitFor] - Wait before extraction instead of for network idle: "selector:<css>", "hidden:<css>", "text:<text>", "js:<expression>", "delay:<ms>", "idle:<ms>" or objects such as { selector, state, timeout } (see browser-ops/WaitConditions.js); a list runs in order, timeouts fail the attempt with a 'timeout' error
+ * @param {number} [options.waitTimeout] - Timeout of each wait condition in ms (default: WAIT_TIMEOUT, 15000)
+ * @param {Array<Object>} [options.actions] - Scripted steps run after the wait conditions, before extraction: { action: 'click' | 'type' | 'press' | 'select' | 'hover' | 'scroll' | 'wait' | 'evaluate', ... } (see browser-ops/PageActions.js); the result gets `actions` with a result per step, a failed step fails the attempt unless it is `optional`
+ * @param {boolean|string} [options.nextPage] - Find the next page of a listing, detected (true) or by CSS selector; the result gets `nextPage` ({ url, via } or null), see core/Paginator.js
+ * @param {BrowserPool} [options.browserPool] - Take warm browsers from this pool instead of launching one
+ * @param {Object} [options.llm] - LLM overrides ({ provider, modelName, smallModel, apiKey, baseURL, contextTokens, structuredOutput, chunkSize, maxChunks })
+ * @param {boolean} [options.respectRobotsTxt] - Refuse URLs disallowed by robots.txt (default: RESPECT_ROBOTS_TXT env)
+ * @param {string} [options.userAgent] - User agent matched against robots.txt groups
+ * @param {Object} [options.schema] - JSON Schema or zod schema; the result gets validated `data` extracted from the page
+ * @param {string} [options.instruction] - What to extract with the schema (default: the query)
+ * @param {number} [options.extractionAttempts] - Model calls allowed to produce schema-valid data (default: 2)
+ * @param {boolean|string} [options.cache] - Use the response cache (true), bypass it (false) or re-scrape and overwrite it ('refresh')
+ * @param {number} [options.cacheTtl] - Seconds a cached entry stays fresh before revalidation (default: CACHE_TTL)
+ * @param {Object} [options.cacheStore] - Cache store to use instead of the configured one (see utils/CacheManager.js)
+ * @param {AbortSignal} [options.signal] - Cancels the scrape; the browser is closed and the result has a 'cancelled' enhancedError
+ * @returns {Promise<Object|boolean>} - Structured result (markdown, html, page metadata, links, images...), or success status for the legacy form
+ */
+export async function scrape(url, ...args) {
+  if (isOptionsCall(args)) {
+    return await runScrape(
+      url,
+      resolveScrapeOptions({ saveFiles: true, ...args[0] })
+    );
+  }
+
+  const [
+    outputHtmlFilename = 'scraped',
+    userQuery = '',
+    mode = SCRAPING_MODES.NORMAL,
+  ] = args;
+  const result = await runScrape(
+    url,
+    resolveScrapeOptions({
+      outputFilename: outputHtmlFilename,
+      saveFiles: true,
+      query: userQuery,
+      mode,
+    })
+  );
+  return result.success;
+}
+
+/**
+ * Streaming-enabled scraper function, does not save files unless asked to
+ *
+ * Preferred form: scrapeWithStreaming(url, options) with options.progressCallback.
+ * The legacy positional form
+ * scrapeWithStreaming(url, outputHtmlFilename, userQuery, mode, progressCallback)
+ * is still supported.
+ *
+ * @param {string} url - The URL to scrape
+ * @param {Object} [options] - Per-call options, see scrape() (saveFiles defaults to false)
+ * @returns {Promise<Object>} - Structured result with markdown and HTML content
+ */
+export async function scrapeWithStreaming(url, ...args) {
+  if (isOptionsCall(args)) {
+    return await runScrape(url, resolveScrapeOptions(args[0]));
+  }
+
+  const [
+    outputHtmlFilename = 'scraped',
+    userQuery = '',
+    mode = SCRAPING_MODES.NORMAL,
+    progressCallback = null,
+  ] = args;
+  return await runScrape(
+    url,
+    resolveScrapeOptions({
+      outputFilename: outputHtmlFilename,
+      query: userQuery,
+      mode,
+      progressCallback,
+    })
+  );
+}
@@ -1,7 +1,9 @@
 import { chromium } from 'playwright-core';
 import { newInjectedContext } from 'fingerprint-injector';
+import { randomUUID } from 'crypto';
 import { BROWSER_OPTIONS } from '../config.js';
 import { handleError } from '../utils/GlobalErrorHandler.js';
+import { applyAuthCookies } from '../utils/AuthManager.js';
 import dotenv from 'dotenv';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -14,67 +16,131 @@ dotenv.config({
   quiet: true,
 });
 
-// Module-level state
-let browser = null;
-let page = null;
+// Registry of open sessions so a single scrape can be cancelled by id
+const activeSessions = new Map();
 
 /**
- * Initialize browser and page
- * @returns {Promise<boolean>} Success status
+ * Create a fresh fingerprint-injected context and page on an existing browser
+ * @param {Object} browser - Playwright browser instance
+ * @param {Object} options - Optional per-call overrides
+ * @param {Object} options.viewport - Page viewport ({ width, height })
+ * @param {Function} options.release - Custom cleanup used instead of closing the browser
+ * @param {Object} options.auth - Resolved auth from loadAuth (headers, credentials, storage state, cookies)
+ * @param {Object} options.proxy - Playwright proxy settings for this context only (see utils/ProxyManager.js)
+ * @returns {Promise<Object>} Session ({ id, browser, context, page, closed })
  */
-export async function initBrowser() {
+export async function createSessionOnBrowser(browser, options = {}) {
+  const context = await newInjectedContext(browser, {
+    newContextOptions: {
+      ...options.auth?.contextOptions,
+      ...(options.proxy && { proxy: options.proxy }),
+    },
+  });
+  try {
+    await applyAuthCookies(context, options.auth);
+  } catch (error) {
+    await context.close().catch(() => {});
+    throw error;
+  }
+  const page = await context.newPage({
+    viewport: options.viewport || BROWSER_OPTIONS.viewport,
+  });
+
+  const session = {
+    id: randomUUID(),
+    browser,
+    context,
+    page,
+    closed: false,
+    release: options.release || null,
+  };
+  activeSessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Launch a browser session owned by a single scrape.
+ * Every session has its own browser, context and page so concurrent scrapes
+ * in the same process never share or close each other's pages.
+ * @param {Object} options - Optional per-call overrides
+ * @param {Object} options.viewport - Page viewport ({ width, height })
+ * @param {Object} options.auth - Resolved auth from loadAuth
+ * @param {Object} options.proxy - Playwright proxy settings for this session
+ * @returns {Promise<Object|null>} Session ({ id, browser, context, page, closed }) or null on failure
+ */
+export async function createBrowserSession(options = {}) {
+  let browser = null;
+
   try {
     console.log('🚀 Initializing browser...');
     browser = await chromium.launch(BROWSER_OPTIONS);
-    const context = await newInjectedContext(browser);
-    // page = await browser.newPage({
-    //   viewport: BROWSER_OPTIONS.viewport,
-    // });
-    page = await context.newPage({
-      viewport: BROWSER_OPTIONS.viewport,
-    })
+    const session = await createSessionOnBrowser(browser, {
+      viewport: options.viewport,
+      auth: options.auth,
+      proxy: options.proxy,
+    });
     console.log('✅ Browser initialized successfully');
-    return true;
+    return session;
   } catch (err) {
     await handleError(err, {
-      operation: 'initBrowser',
+      operation: 'createBrowserSession',
       environment: 'local',
       browserType: 'chromium',
     });
-    return false;
+
+    // Don't leak a half-initialized browser
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+    return null;
   }
 }
 
 /**
- * Get the current page instance
- * @returns {Object|null} Current page instance
+ * Close a browser session and clean up, safe to call more than once
+ * @param {Object} session - Session returned by createBrowserSession or a BrowserPool
+ * @returns {Promise<void>}
  */
-export function getPage() {
-  return page;
+export async function closeBrowserSession(session) {
+  if (!session || session.closed) {
+    return;
+  }
+
+  session.closed = true;
+  activeSessions.delete(session.id);
+  try {
+    if (session.release) {
+      // Pooled session: hand the browser back instead of closing it
+      await session.release(session);
+    } else {
+      await session.browser.close();
+      console.log('✅ Browser closed successfully');
+    }
+  } catch (error) {
+    console.error('⚠️ Error closing browser:', error.message);
+  }
 }
 
 /**
- * Get the current browser instance
- * @returns {Object|null} Current browser instance
+ * Cancel a running scrape by closing its browser session.
+ * Pending page operations of that scrape fail, other sessions are untouched.
+ * @param {string} sessionId - Session id (reported in the browser-setup phase_end event)
+ * @returns {Promise<boolean>} True if an open session was found and closed
  */
-export function getBrowser() {
-  return browser;
+export async function cancelBrowserSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  await closeBrowserSession(session);
+  return true;
 }
 
 /**
- * Close browser and clean up
- * @returns {Promise<void>}
+ * Get the number of currently open browser sessions
+ * @returns {number} Open session count
  */
-export async function closeBrowser() {
-  if (browser) {
-    try {
-      await browser.close();
-      console.log('✅ Browser closed successfully');
-    } catch (error) {
-      console.error('⚠️ Error closing browser:', error.message);
-    } finally {
-      browser = null;
-      page = null;
-    }
-  }
+export function getActiveSessionCount() {
+  return activeSessions.size;
 }
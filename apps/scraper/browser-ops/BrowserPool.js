@@ -0,0 +1,298 @@
+import { chromium } from 'playwright-core';
+import { BROWSER_OPTIONS, BROWSER_POOL_OPTIONS } from '../config.js';
+import { createSessionOnBrowser } from './BrowserManager.js';
+import {
+  createCancelledError,
+  handleError,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+import { measureBrowserMemoryMB } from '../utils/SimplePerformanceMonitor.js';
+
+/**
+ * Pool of warm Chromium browsers handing out a fresh fingerprint-injected
+ * context per job. Browsers are recycled after a number of pages or when
+ * their memory grows past a threshold, and jobs beyond the concurrency limit
+ * wait in a FIFO queue.
+ *
+ * Usage:
+ *   const pool = new BrowserPool({ size: 2 });
+ *   await pool.warmUp();
+ *   await scrape(url, { browserPool: pool });
+ *   await pool.close();
+ */
+export class BrowserPool {
+  /**
+   * @param {Object} options - Pool options (defaults from BROWSER_POOL_OPTIONS)
+   * @param {number} options.size - Number of warm browsers to keep
+   * @param {number} options.concurrency - Maximum jobs running at once (default: size)
+   * @param {number} options.maxPagesPerBrowser - Recycle a browser after this many jobs
+   * @param {number} options.maxBrowserMemoryMB - Recycle a browser above this page heap size
+   * @param {Object} options.launchOptions - Playwright launch options (default: BROWSER_OPTIONS)
+   */
+  constructor(options = {}) {
+    this.size = options.size || BROWSER_POOL_OPTIONS.size;
+    this.concurrency =
+      options.concurrency || BROWSER_POOL_OPTIONS.concurrency || this.size;
+    this.maxPagesPerBrowser =
+      options.maxPagesPerBrowser || BROWSER_POOL_OPTIONS.maxPagesPerBrowser;
+    this.maxBrowserMemoryMB =
+      options.maxBrowserMemoryMB || BROWSER_POOL_OPTIONS.maxBrowserMemoryMB;
+    this.launchOptions = options.launchOptions || BROWSER_OPTIONS;
+
+    this.entries = [];
+    this.waitQueue = [];
+    this.activeJobs = 0;
+    this.closed = false;
+    this.warming = null;
+    this.stats = { jobsServed: 0, browsersLaunched: 0, browsersRecycled: 0 };
+  }
+
+  /**
+   * Launch browsers until the pool holds `size` warm instances
+   * Jobs acquired meanwhile wait for the launches instead of starting their own.
+   * @returns {Promise<void>}
+   */
+  async warmUp() {
+    if (this.warming) {
+      return this.warming;
+    }
+
+    const missing = this.size - this._liveEntries().length;
+    this.warming = Promise.all(
+      Array.from({ length: Math.max(0, missing) }, () => this._launchEntry())
+    ).finally(() => {
+      this.warming = null;
+    });
+    await this.warming;
+  }
+
+  /**
+   * Acquire a session for one job, waiting if the concurrency limit is reached
+   * @param {Object} options - Per-call overrides
+   * @param {Object} options.viewport - Page viewport ({ width, height })
+   * @param {Object} options.auth - Resolved auth from loadAuth, applied to the job's context only
+   * @param {Object} options.proxy - Playwright proxy settings for the job's context
+   * @param {AbortSignal} options.signal - Stops waiting for a free slot when aborted
+   * @returns {Promise<Object|null>} Session released by closeBrowserSession, or null on failure
+   */
+  async acquire(options = {}) {
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+    throwIfCancelled(options.signal);
+
+    if (this.activeJobs < this.concurrency) {
+      this.activeJobs++;
+    } else {
+      console.log(
+        `⏳ Browser pool busy (${this.activeJobs}/${this.concurrency}), job queued`
+      );
+      const { signal } = options;
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          // Leave the queue without taking a slot
+          this.waitQueue.splice(this.waitQueue.indexOf(wake), 1);
+          reject(createCancelledError(signal));
+        };
+        // Woken with the slot of the job that finished (see _finishJob)
+        const wake = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        this.waitQueue.push(wake);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+      if (this.closed) {
+        throw new Error('Browser pool is closed');
+      }
+    }
+
+    let entry = null;
+    try {
+      entry = await this._pickEntry();
+      entry.activeSessions++;
+      entry.pagesServed++;
+      this.stats.jobsServed++;
+
+      return await createSessionOnBrowser(entry.browser, {
+        viewport: options.viewport,
+        auth: options.auth,
+        proxy: options.proxy,
+        release: session => this._release(entry, session),
+      });
+    } catch (err) {
+      await handleError(err, {
+        operation: 'BrowserPool.acquire',
+        activeJobs: this.activeJobs,
+        browsers: this.entries.length,
+      });
+      if (entry) {
+        entry.activeSessions--;
+      }
+      this._finishJob();
+      return null;
+    }
+  }
+
+  /**
+   * Get a snapshot of pool usage
+   * @returns {Object} Pool statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      browsers: this._liveEntries().length,
+      activeJobs: this.activeJobs,
+      queuedJobs: this.waitQueue.length,
+      concurrency: this.concurrency,
+    };
+  }
+
+  /**
+   * Close every browser in the pool; queued jobs are rejected
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    const entries = this.entries;
+    this.entries = [];
+
+    // Wake queued jobs so they fail fast instead of hanging forever
+    this.waitQueue.splice(0).forEach(resolve => resolve());
+
+    await Promise.all(entries.map(entry => this._closeEntry(entry)));
+    console.log('✅ Browser pool closed');
+  }
+
+  /**
+   * Return a session's context to the pool and recycle its browser if needed
+   * @param {Object} entry - Pool entry that owns the session
+   * @param {Object} session - Session being released
+   */
+  async _release(entry, session) {
+    try {
+      if (!entry.retiring) {
+        const memoryMB = await measureBrowserMemoryMB(session.page).catch(
+          () => 0
+        );
+        if (
+          entry.pagesServed >= this.maxPagesPerBrowser ||
+          memoryMB >= this.maxBrowserMemoryMB
+        ) {
+          console.log(
+            `♻️ Recycling pooled browser (pages: ${entry.pagesServed}, memory: ${memoryMB}MB)`
+          );
+          entry.retiring = true;
+          this.stats.browsersRecycled++;
+        }
+      }
+
+      await session.context.close().catch(() => {});
+    } finally {
+      entry.activeSessions--;
+      if (entry.retiring && entry.activeSessions === 0) {
+        this.entries = this.entries.filter(item => item !== entry);
+        await this._closeEntry(entry);
+
+        // Launch the replacement in the background to keep the pool warm
+        if (!this.closed) {
+          this.warmUp().catch(error =>
+            console.error('⚠️ Failed to replace pooled browser:', error.message)
+          );
+        }
+      }
+      this._finishJob();
+    }
+  }
+
+  /**
+   * Hand the finished job's slot to the next queued job, or free it
+   * The slot is handed over rather than freed, so an acquire() running before
+   * the woken job resumes can't take it too.
+   */
+  _finishJob() {
+    const next = this.waitQueue.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeJobs--;
+    }
+  }
+
+  /**
+   * Pick the least busy live browser, launching one if the pool isn't full
+   * @returns {Promise<Object>} Pool entry
+   */
+  async _pickEntry() {
+    if (this.warming) {
+      // A failed warm-up leaves the launch to this job
+      await this.warming.catch(() => {});
+    }
+
+    const live = this._liveEntries();
+    const idle = live.find(entry => entry.activeSessions === 0);
+    if (idle) {
+      return idle;
+    }
+
+    if (live.length < this.size) {
+      return await this._launchEntry();
+    }
+
+    return live.reduce((best, entry) =>
+      entry.activeSessions < best.activeSessions ? entry : best
+    );
+  }
+
+  /**
+   * Launch a browser and register it in the pool
+   * @returns {Promise<Object>} Pool entry
+   */
+  async _launchEntry() {
+    console.log('🚀 Launching pooled browser...');
+    const browser = await chromium.launch(this.launchOptions);
+    if (this.closed) {
+      // Closed during a warm-up
+      await browser.close().catch(() => {});
+      throw new Error('Browser pool is closed');
+    }
+    const entry = {
+      browser,
+      pagesServed: 0,
+      activeSessions: 0,
+      retiring: false,
+    };
+
+    // Drop crashed browsers so the next job gets a healthy one
+    browser.on('disconnected', () => {
+      entry.retiring = true;
+      this.entries = this.entries.filter(item => item !== entry);
+    });
+
+    this.entries.push(entry);
+    this.stats.browsersLaunched++;
+    return entry;
+  }
+
+  /**
+   * Close a single pooled browser
+   * @param {Object} entry - Pool entry
+   */
+  async _closeEntry(entry) {
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      console.error('⚠️ Error closing pooled browser:', error.message);
+    }
+  }
+
+  /**
+   * Browsers that can still accept jobs
+   * @returns {Array<Object>} Live pool entries
+   */
+  _liveEntries() {
+    return this.entries.filter(entry => !entry.retiring);
+  }
+}
+
+export default BrowserPool;
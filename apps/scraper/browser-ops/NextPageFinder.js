@@ -0,0 +1,155 @@
+import { PAGINATION_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+
+/**
+ * Find the "next page" control in the live DOM (runs in the browser)
+ * Without a selector, tries in order: rel="next" links, links labelled
+ * "Next"/"›"/"»" (text, aria-label or title), links with a "next" class, and
+ * the link numbered one past the current page of a numbered pagination.
+ * @param {string|null} selector - CSS selector of the next control
+ * @returns {Object|null} - { href, via } (href null for script-driven buttons), or null if none
+ */
+function detectNextControl(selector) {
+  const isVisible = element =>
+    !!(
+      element.offsetWidth ||
+      element.offsetHeight ||
+      element.getClientRects().length
+    );
+  const isDisabled = element =>
+    element.matches(
+      '[disabled], [aria-disabled="true"], .disabled, .is-disabled'
+    ) || !!element.closest('.disabled, [aria-disabled="true"]');
+  const hrefOf = element => {
+    const link = element.closest('a[href]') || element.querySelector('a[href]');
+    return link && /^https?:/.test(link.href) ? link.href : null;
+  };
+
+  if (selector) {
+    const element = document.querySelector(selector);
+    if (!element || isDisabled(element)) {
+      return null;
+    }
+    return { href: hrefOf(element), via: 'selector' };
+  }
+
+  const relNext = document.querySelector(
+    'link[rel~="next" i][href], a[rel~="next" i][href]'
+  );
+  if (relNext && /^https?:/.test(relNext.href)) {
+    return { href: relNext.href, via: 'rel' };
+  }
+
+  const links = Array.from(document.querySelectorAll('a[href]')).filter(
+    link => isVisible(link) && !isDisabled(link) && /^https?:/.test(link.href)
+  );
+  const labelOf = link =>
+    (
+      link.getAttribute('aria-label') ||
+      link.getAttribute('title') ||
+      link.textContent ||
+      ''
+    )
+      .replace(/\s+/g, ' ')
+      .trim();
+
+  const nextLabel =
+    /^(next( page| results)?|older( posts| entries)?|more results|[›»→>]+)( ?[›»→>]+)?$/i;
+  const labelled = links.find(link => nextLabel.test(labelOf(link)));
+  if (labelled) {
+    return { href: labelled.href, via: 'label' };
+  }
+
+  const nextClass = links.find(
+    link =>
+      /(^|[\s_-])next([\s_-]|$)/i.test(link.className) ||
+      !!link.closest('li.next, .pagination-next, .pager-next, .next-page')
+  );
+  if (nextClass) {
+    return { href: nextClass.href, via: 'class' };
+  }
+
+  // Numbered pagination: the current page is marked, the next number follows it
+  const current = document.querySelector(
+    '[aria-current="page"], .pagination .active, .pagination .current, .pager .current, .page-numbers.current'
+  );
+  const currentNumber = parseInt(current?.textContent.trim(), 10);
+  if (Number.isInteger(currentNumber)) {
+    const numbered = links.find(
+      link => labelOf(link) === String(currentNumber + 1)
+    );
+    if (numbered) {
+      return { href: numbered.href, via: 'number' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the URL of the next page of a listing
+ * A rel="next" link read from the page HTML comes first, content cleanup
+ * removes <link> elements from the DOM. Other links are read from the DOM. A
+ * script-driven "Next" button matched by the selector is clicked, and the URL
+ * it leads to is used; buttons that swap the content without changing the URL
+ * are not followed.
+ * @param {Object} page - Playwright page object, after extraction
+ * @param {string} url - URL of the current page
+ * @param {Object} options - Options
+ * @param {string} options.selector - CSS selector of the next control (default: detect it)
+ * @param {string} options.relNext - URL of the page's rel="next" link, read before cleanup (see extractMetadata), used when detecting
+ * @param {AbortSignal} options.signal - Cancels the scrape
+ * @returns {Promise<Object|null>} - { url, via: 'selector' | 'rel' | 'label' | 'class' | 'number' | 'click' }, or null on the last page
+ * @throws {EnhancedError} - 'browser' error when the page is already closed
+ */
+export async function findNextPage(page, url, options = {}) {
+  const selector = options.selector || null;
+  const isCurrent = href => href.split('#')[0] === url.split('#')[0];
+
+  const relNext = options.relNext || '';
+  if (!selector && /^https?:/.test(relNext) && !isCurrent(relNext)) {
+    return { url: relNext, via: 'rel' };
+  }
+
+  try {
+    const control = await page.evaluate(detectNextControl, selector);
+    if (!control) {
+      return null;
+    }
+    if (control.href) {
+      return isCurrent(control.href)
+        ? null
+        : { url: control.href, via: control.via };
+    }
+
+    // Only a selected element may be clicked, detected controls always have links
+    const before = page.url();
+    await page.locator(selector).first().click({
+      timeout: PAGINATION_OPTIONS.clickTimeout,
+    });
+    await page
+      .waitForURL(next => next.href !== before, {
+        timeout: PAGINATION_OPTIONS.clickTimeout,
+      })
+      .catch(() => {});
+    const after = page.url();
+    return after !== before ? { url: after, via: 'click' } : null;
+  } catch (error) {
+    throwIfCancelled(options.signal);
+    // A closed page can't tell there is no next page, fail the attempt instead
+    if (page.isClosed()) {
+      throw createError(`Page closed before finding the next page of ${url}`, {
+        category: ERROR_CATEGORIES.BROWSER,
+        userMessage: 'The page closed before its next page could be found.',
+        originalError: error,
+      });
+    }
+    await handleError(error, { operation: 'findNextPage', url, selector });
+    return null;
+  }
+}
@@ -0,0 +1,306 @@
+import { ACTION_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+  RETRY_STRATEGIES,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+import {
+  describeWaitCondition,
+  parseWaitCondition,
+  waitForConditions,
+} from './WaitConditions.js';
+
+// Fields every action needs besides `action`, and those it may have
+const ACTION_FIELDS = {
+  click: { required: ['selector'], optional: ['button', 'clickCount'] },
+  type: { required: ['selector', 'text'], optional: ['clear', 'delay'] },
+  press: { required: ['key'], optional: ['selector'] },
+  select: { required: ['selector', 'value'], optional: [] },
+  hover: { required: ['selector'], optional: [] },
+  scroll: { required: [], optional: ['selector', 'to', 'by'] },
+  wait: { required: ['for'], optional: [] },
+  evaluate: { required: ['script'], optional: [] },
+};
+
+export const ACTION_TYPES = Object.keys(ACTION_FIELDS);
+
+// Fields any action may have
+const COMMON_FIELDS = ['action', 'timeout', 'optional', 'description'];
+
+/**
+ * Check and normalize one action
+ * @param {Object} step - Action object, e.g. { action: 'click', selector: '#accept' }
+ * @returns {Object} - The action, with `for` of wait actions parsed into a wait condition
+ */
+function parseAction(step) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error('expected an object');
+  }
+
+  const fields = ACTION_FIELDS[step.action];
+  if (!fields) {
+    throw new Error(`action must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+
+  const missing = fields.required.filter(field => step[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${step.action} needs ${missing.join(' and ')}`);
+  }
+  const unknown = Object.keys(step).filter(
+    field =>
+      !COMMON_FIELDS.includes(field) &&
+      !fields.required.includes(field) &&
+      !fields.optional.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`unknown ${step.action} fields: ${unknown.join(', ')}`);
+  }
+
+  if (
+    step.timeout !== undefined &&
+    (!Number.isFinite(step.timeout) || step.timeout <= 0)
+  ) {
+    throw new Error('timeout must be a positive number of milliseconds');
+  }
+  if (step.action === 'scroll') {
+    if (step.to !== undefined && !['top', 'bottom'].includes(step.to)) {
+      throw new Error('scroll "to" must be top or bottom');
+    }
+    if (step.by !== undefined && !Number.isFinite(step.by)) {
+      throw new Error('scroll "by" must be a number of pixels');
+    }
+  }
+
+  if (step.action === 'wait') {
+    return {
+      ...step,
+      for: parseWaitCondition(
+        typeof step.for === 'number' ? { delay: step.for } : step.for
+      ),
+    };
+  }
+  return step;
+}
+
+/**
+ * Check the actions option of a scrape before any browser work
+ * @param {Array<Object>} actions - Action list
+ * @returns {Array<Object>} - Normalized actions, empty without actions
+ */
+export function resolvePageActions(actions) {
+  if (!actions) {
+    return [];
+  }
+  if (!Array.isArray(actions)) {
+    throw createError('Invalid actions: expected an array', {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: 'actions must be an array of action objects.',
+    });
+  }
+
+  return actions.map((step, index) => {
+    try {
+      return parseAction(step);
+    } catch (error) {
+      throw createError(`Invalid action ${index + 1}: ${error.message}`, {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: `Invalid action ${index + 1} (${error.message}).`,
+      });
+    }
+  });
+}
+
+/**
+ * Describe an action for logs and progress events
+ * @param {Object} step - Normalized action
+ * @returns {string} - e.g. 'click "#accept"', or the action's own description
+ */
+export function describeAction(step) {
+  if (step.description) {
+    return step.description;
+  }
+
+  switch (step.action) {
+    case 'type':
+      return `type into "${step.selector}"`;
+    case 'press':
+      return `press ${step.key}${step.selector ? ` in "${step.selector}"` : ''}`;
+    case 'scroll':
+      return step.selector
+        ? `scroll to "${step.selector}"`
+        : `scroll ${step.by !== undefined ? `by ${step.by}px` : `to ${step.to || 'bottom'}`}`;
+    case 'wait':
+      return `wait for ${describeWaitCondition(step.for)}`;
+    case 'evaluate':
+      return 'evaluate script';
+    default:
+      return `${step.action} "${step.selector}"`;
+  }
+}
+
+/**
+ * Make the value returned by an evaluate action safe to report
+ * @param {*} value - Value returned by the page
+ * @returns {*} - The value, or its JSON truncated to ACTION_OPTIONS.maxResultLength
+ */
+function toReportedValue(value) {
+  const json = JSON.stringify(value);
+  if (json === undefined || json.length <= ACTION_OPTIONS.maxResultLength) {
+    return value ?? null;
+  }
+  return `${json.slice(0, ACTION_OPTIONS.maxResultLength)}...`;
+}
+
+/**
+ * Run one action on the page
+ * @param {Object} page - Playwright page object
+ * @param {Object} step - Normalized action
+ * @param {number} timeout - Timeout in ms
+ * @param {AbortSignal} signal - Cancels the scrape
+ * @returns {Promise<*>} - Value returned by evaluate actions, undefined otherwise
+ */
+async function runAction(page, step, timeout, signal) {
+  const locator = step.selector ? page.locator(step.selector).first() : null;
+
+  switch (step.action) {
+    case 'click':
+      await locator.click({
+        timeout,
+        button: step.button,
+        clickCount: step.clickCount,
+      });
+      break;
+    case 'type':
+      if (step.clear !== false) {
+        await locator.fill('', { timeout });
+      }
+      await locator.pressSequentially(String(step.text), {
+        timeout,
+        delay: step.delay ?? ACTION_OPTIONS.typingDelay,
+      });
+      break;
+    case 'press':
+      if (locator) {
+        await locator.press(step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'select':
+      await locator.selectOption(step.value, { timeout });
+      break;
+    case 'hover':
+      await locator.hover({ timeout });
+      break;
+    case 'scroll':
+      if (locator) {
+        await locator.scrollIntoViewIfNeeded({ timeout });
+      } else if (step.by !== undefined) {
+        await page.mouse.wheel(0, step.by);
+      } else {
+        await page.keyboard.press(step.to === 'top' ? 'Home' : 'End');
+      }
+      break;
+    case 'wait':
+      await waitForConditions(page, [step.for], { timeout, signal });
+      break;
+    case 'evaluate':
+      return toReportedValue(await page.evaluate(step.script));
+  }
+  return undefined;
+}
+
+/**
+ * Turn the error of a failed step into an error naming the step
+ * @param {Error} error - Playwright error
+ * @param {string} label - e.g. 'Action 2 (click "#accept")'
+ * @param {number} timeout - Timeout of the step in ms
+ * @returns {EnhancedError} - 'timeout' when the element never became ready, 'browser' otherwise (both retried)
+ */
+function toActionError(error, label, timeout) {
+  // Playwright messages continue with a call log
+  const reason = error.message.split('\n')[0];
+  const timedOut =
+    error.name === 'TimeoutError' ||
+    error.category === ERROR_CATEGORIES.TIMEOUT;
+
+  return createError(
+    timedOut ? `${label} timed out after ${timeout}ms` : `${label} failed`,
+    {
+      category: timedOut ? ERROR_CATEGORIES.TIMEOUT : ERROR_CATEGORIES.BROWSER,
+      shouldRetry: true,
+      retryStrategy: RETRY_STRATEGIES.LINEAR,
+      maxRetries: 2,
+      userMessage: timedOut
+        ? `${label} timed out after ${timeout}ms.`
+        : `${label} failed: ${reason}`,
+      originalError: error,
+    }
+  );
+}
+
+/**
+ * Run scripted actions on the page, in order
+ * Each step waits for its element like a user would (visible, enabled,
+ * stable), then the page gets ACTION_OPTIONS.settleDelay to react. A failed
+ * step stops the list and fails the attempt, unless it is `optional`.
+ * @param {Object} page - Playwright page object
+ * @param {Array<Object>} actions - Actions from resolvePageActions
+ * @param {Object} options - Action options
+ * @param {Array<Object>} options.results - Step results are appended here, so they survive a failed step
+ * @param {Function} options.progressCallback - Receives an 'action' event per step
+ * @param {AbortSignal} options.signal - Cancels the scrape
+ * @returns {Promise<Array<Object>>} - [{ index, action, description, success, duration, result?, error? }]
+ * @throws {EnhancedError} - When a required step fails
+ */
+export async function runPageActions(page, actions, options = {}) {
+  const { progressCallback, signal } = options;
+  const results = options.results || [];
+
+  for (const [index, step] of actions.entries()) {
+    throwIfCancelled(signal);
+    const description = describeAction(step);
+    // Wait conditions may carry their own timeout
+    const timeout = step.for?.timeout || step.timeout || ACTION_OPTIONS.timeout;
+    const startTime = Date.now();
+    console.log(`👆 Action ${index + 1}/${actions.length}: ${description}`);
+
+    let value;
+    let failure = null;
+    try {
+      value = await runAction(page, step, timeout, signal);
+      await page.waitForTimeout(ACTION_OPTIONS.settleDelay);
+    } catch (error) {
+      throwIfCancelled(signal);
+      failure = await handleError(
+        toActionError(error, `Action ${index + 1} (${description})`, timeout),
+        { operation: 'runPageActions', action: step.action }
+      );
+    }
+
+    const result = {
+      index: index + 1,
+      action: step.action,
+      description,
+      success: !failure,
+      duration: Date.now() - startTime,
+      ...(step.action === 'evaluate' && !failure && { result: value }),
+      ...(failure && { error: failure.userMessage }),
+    };
+    results.push(result);
+    if (progressCallback) {
+      progressCallback({ type: 'action', ...result });
+    }
+
+    if (failure) {
+      if (!step.optional) {
+        throw failure;
+      }
+      console.warn(`⚠️ Optional action ${index + 1} failed, continuing`);
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,103 @@
+import { CAPTURE_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+
+// 'full' captures the whole scrollable page, 'viewport' only what is visible
+export const SCREENSHOT_MODES = ['full', 'viewport'];
+export const SCREENSHOT_TYPES = ['png', 'jpeg'];
+
+/**
+ * Check the capture options before any browser work
+ * @param {Object} options - Scrape options
+ * @param {string} options.screenshot - null, 'full' or 'viewport'
+ * @param {string} options.screenshotType - 'png' or 'jpeg'
+ */
+export function validateCaptureOptions(options) {
+  if (options.screenshot && !SCREENSHOT_MODES.includes(options.screenshot)) {
+    throw createError(`Invalid screenshot mode "${options.screenshot}"`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `screenshot must be one of: ${SCREENSHOT_MODES.join(', ')}`,
+    });
+  }
+  if (
+    options.screenshot &&
+    !SCREENSHOT_TYPES.includes(options.screenshotType)
+  ) {
+    throw createError(`Invalid screenshot type "${options.screenshotType}"`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `screenshotType must be one of: ${SCREENSHOT_TYPES.join(', ')}`,
+    });
+  }
+}
+
+/**
+ * Capture a screenshot and/or PDF of the rendered page
+ * Run after navigation and scrolling, so captures show the content the
+ * scraper extracts. A failed capture is logged and left out.
+ * @param {Object} page - Playwright page object
+ * @param {Object} options - Scrape options
+ * @param {string} options.screenshot - null, 'full' or 'viewport'
+ * @param {string} options.screenshotType - 'png' or 'jpeg'
+ * @param {boolean} options.pdf - Also export the page as PDF
+ * @param {AbortSignal} options.signal - Cancels the scrape
+ * @returns {Promise<Array<Object>>} - [{ kind: 'screenshot' | 'pdf', mimeType, extension, fullPage, data (base64) }]
+ */
+export async function capturePage(page, options = {}) {
+  const captures = [];
+
+  if (options.screenshot) {
+    const type = options.screenshotType || 'png';
+    const fullPage = options.screenshot === 'full';
+    try {
+      const buffer = await page.screenshot({
+        type,
+        fullPage,
+        ...(type === 'jpeg' && { quality: CAPTURE_OPTIONS.jpegQuality }),
+        timeout: CAPTURE_OPTIONS.timeout,
+      });
+      captures.push({
+        kind: 'screenshot',
+        mimeType: `image/${type}`,
+        extension: type === 'jpeg' ? 'jpg' : 'png',
+        fullPage,
+        data: buffer.toString('base64'),
+      });
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      await handleError(error, {
+        operation: 'capturePage.screenshot',
+        url: page.url(),
+      });
+    }
+  }
+
+  if (options.pdf) {
+    try {
+      // PDFs use the screen stylesheet, so they match the screenshot rather than the print layout
+      await page.emulateMedia({ media: 'screen' });
+      const buffer = await page.pdf({
+        format: CAPTURE_OPTIONS.pdfFormat,
+        printBackground: true,
+      });
+      captures.push({
+        kind: 'pdf',
+        mimeType: 'application/pdf',
+        extension: 'pdf',
+        fullPage: true,
+        data: buffer.toString('base64'),
+      });
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      await handleError(error, {
+        operation: 'capturePage.pdf',
+        url: page.url(),
+      });
+    }
+  }
+
+  return captures;
+}
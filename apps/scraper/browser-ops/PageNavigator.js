@@ -1,31 +1,65 @@
-import { PAGE_OPTIONS } from '../config.js';
-import { handleError } from '../utils/GlobalErrorHandler.js';
+import { PAGE_OPTIONS, REQUEST_POLICY_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
 import {
   closeModals,
   findModals,
   isScrollingBlocked,
 } from '../core/ModalHandler.js';
+import {
+  applyRequestPolicy,
+  createRequestStats,
+  resolveRequestPolicy,
+} from './RequestPolicy.js';
 
 /**
  * Navigate to URL and wait for page to stabilize
  * @param {Object} page - Playwright page object
  * @param {string} url - The URL to scrape
- * @returns {Promise<boolean>} - Success status
+ * @param {Object} options - Optional per-call overrides
+ * @param {number} options.pageTimeout - Navigation timeout in milliseconds
+ * @param {Object} options.requestPolicy - Resolved request policy (see resolveRequestPolicy, default: the REQUEST_POLICY preset)
+ * @param {Object} options.requestStats - Blocked request counters from createRequestStats, updated while the page lives
+ * @param {Array<Object>} options.waitConditions - Wait conditions the caller runs next (see WaitConditions.js); they replace the network idle wait, which never ends on pages that keep polling
+ * @param {AbortSignal} options.signal - Cancels the scrape (the caller closes the browser, failing pending page operations)
+ * @returns {Promise<Object|null>} - Main document response { status, headers } (status null without a response), or null when navigation failed
+ * @throws {EnhancedError} - 'proxy' errors, so the scrape retries through another proxy
  */
-export async function navigateToUrl(page, url) {
-  try {
-    const BLOCKED_RESOURCE_TYPES = ['media', 'font']; // 'media' covers audio and video
+export async function navigateToUrl(page, url, options = {}) {
+  const customWait = options.waitConditions?.length > 0;
+  const pageOptions = {
+    ...PAGE_OPTIONS,
+    ...(customWait && { waitUntil: 'load' }),
+    timeout: options.pageTimeout || PAGE_OPTIONS.timeout,
+  };
+  const requestPolicy =
+    options.requestPolicy ||
+    resolveRequestPolicy(REQUEST_POLICY_OPTIONS.preset);
 
-    await page.route('**/*', route => {
-      if (BLOCKED_RESOURCE_TYPES.includes(route.request().resourceType())) {
-        route.abort();
-      } else {
-        route.continue();
-      }
-    });
+  try {
+    throwIfCancelled(options.signal);
+    await applyRequestPolicy(
+      page,
+      url,
+      requestPolicy,
+      options.requestStats || createRequestStats(requestPolicy)
+    );
 
-    await page.goto(url, PAGE_OPTIONS);
-    await page.waitForLoadState('networkidle', { timeout: 10000 });
+    const response = await page.goto(url, pageOptions);
+    if (response?.status() === 407) {
+      throw createError('Proxy authentication required (407)', {
+        category: ERROR_CATEGORIES.PROXY,
+        shouldRetry: true,
+        userMessage: 'The proxy rejected its credentials.',
+      });
+    }
+    if (!customWait) {
+      await page.waitForLoadState('networkidle', { timeout: 10000 });
+    }
     await page.waitForLoadState('domcontentloaded');
 
     const scrollingBlocked = await isScrollingBlocked(page);
@@ -33,7 +67,7 @@ export async function navigateToUrl(page, url) {
       await page.keyboard.press('Escape', { delay: 10 });
       await page.click('html', { delay: 100, force: true });
       await page.waitForTimeout(500);
-    } else {
+    } else if (!customWait) {
       await page.waitForTimeout(500);
     }
 
@@ -45,13 +79,20 @@ export async function navigateToUrl(page, url) {
       console.warn(`Could not close ${modals.length} modal(s)`);
     }
 
-    return true;
+    return response
+      ? { status: response.status(), headers: response.headers() }
+      : { status: null, headers: {} };
   } catch (error) {
-    await handleError(error, {
+    throwIfCancelled(options.signal);
+    const handledError = await handleError(error, {
       operation: 'navigateToUrl',
       url,
-      pageOptions: PAGE_OPTIONS,
+      pageOptions,
     });
-    return false;
+    // A page that can't be reached through the proxy is empty, retry with another one
+    if (handledError.category === ERROR_CATEGORIES.PROXY) {
+      throw handledError;
+    }
+    return null;
   }
 }
@@ -3,6 +3,7 @@
  * Uses only Playwright native methods without page.evaluate()
  * @param {Object} page - Playwright page object
  * @param {Object} options - Configuration options
+ * @param {AbortSignal} options.signal - Stops scrolling when aborted
  * @returns {Promise<boolean>} - Success status
  */
 async function infiniteScrollUntilNoMoreNewNetworkRequest(page, options = {}) {
@@ -14,6 +15,7 @@ async function infiniteScrollUntilNoMoreNewNetworkRequest(page, options = {}) {
       stableChecks = 2,
       scrollStep = 3000, // Default scroll step in pixels
       containerSelector = 'body', // Container to check for content
+      signal = null,
     } = options;
 
     let consecutiveNoChangeCount = 0;
@@ -89,6 +91,10 @@ async function infiniteScrollUntilNoMoreNewNetworkRequest(page, options = {}) {
     lastElementCount = initialContent.elementCount;
 
     while (scrollAttempts < maxScrollAttempts) {
+      if (signal?.aborted) {
+        console.log('Scrolling cancelled');
+        return false;
+      }
       scrollAttempts++;
       console.log(`Scroll attempt ${scrollAttempts}/${maxScrollAttempts}`);
 
@@ -0,0 +1,305 @@
+import { BLOCKED_RESOURCE_TYPES } from '../config.js';
+import { createError, ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+import { patternToRegExp } from '../utils/UrlPattern.js';
+
+// Resource types Playwright reports for a request
+export const RESOURCE_TYPES = [
+  'document',
+  'stylesheet',
+  'image',
+  'media',
+  'font',
+  'script',
+  'texttrack',
+  'xhr',
+  'fetch',
+  'eventsource',
+  'websocket',
+  'manifest',
+  'other',
+];
+
+// Well-known ad, analytics and tracking hosts (subdomains included)
+export const TRACKER_DOMAINS = [
+  // Google
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googletagservices.com',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  // Social networks
+  'connect.facebook.net',
+  'analytics.twitter.com',
+  'ads-twitter.com',
+  'snap.licdn.com',
+  'px.ads.linkedin.com',
+  'analytics.tiktok.com',
+  'ct.pinterest.com',
+  'sc-static.net',
+  // Product analytics and session recording
+  'hotjar.com',
+  'mixpanel.com',
+  'segment.com',
+  'segment.io',
+  'amplitude.com',
+  'heapanalytics.com',
+  'fullstory.com',
+  'clarity.ms',
+  'mouseflow.com',
+  'crazyegg.com',
+  'js.hs-analytics.net',
+  'nr-data.net',
+  'mc.yandex.ru',
+  'bat.bing.com',
+  // Ad networks and measurement
+  'scorecardresearch.com',
+  'quantserve.com',
+  'chartbeat.com',
+  'chartbeat.net',
+  'taboola.com',
+  'outbrain.com',
+  'criteo.com',
+  'criteo.net',
+  'adnxs.com',
+  'amazon-adsystem.com',
+  'adsrvr.org',
+  'pubmatic.com',
+  'rubiconproject.com',
+  'openx.net',
+  'moatads.com',
+  'casalemedia.com',
+];
+
+/**
+ * Built-in policies
+ * - fast: skip media, fonts and trackers; pages render as users see them
+ * - faithful: load everything, for pages that break without their trackers
+ * - minimal: only first-party documents, scripts and data requests; no
+ *   images, styles or third-party requests
+ */
+export const REQUEST_POLICY_PRESETS = {
+  fast: {
+    resourceTypes: BLOCKED_RESOURCE_TYPES,
+    blockTrackers: true,
+  },
+  faithful: {},
+  minimal: {
+    resourceTypes: ['image', 'media', 'font', 'stylesheet'],
+    blockTrackers: true,
+    blockThirdParty: true,
+  },
+};
+
+/**
+ * Get the site a hostname belongs to, used to tell first-party from
+ * third-party requests. Approximates the registrable domain: the last two
+ * labels, or three under two-letter country domains such as "co.uk".
+ * @param {string} hostname - Hostname
+ * @returns {string} - Site, e.g. "example.co.uk" for "www.example.co.uk"
+ */
+function getSite(hostname) {
+  // IP addresses are their own site
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return hostname;
+  }
+  const labels = hostname.split('.');
+  const size =
+    labels.length > 2 && labels.at(-1).length === 2 && labels.at(-2).length <= 3
+      ? 3
+      : 2;
+  return labels.slice(-size).join('.');
+}
+
+/**
+ * Check whether a hostname is one of the domains or their subdomains
+ * @param {string} hostname - Hostname
+ * @param {Array<string>} domains - Domains
+ * @returns {boolean} - True if it matches
+ */
+function matchesDomain(hostname, domains) {
+  return domains.some(
+    domain => hostname === domain || hostname.endsWith(`.${domain}`)
+  );
+}
+
+/**
+ * Resolve a request policy option into a policy ready for matching
+ *
+ * A policy is a preset name or an object; objects may name a `preset` they
+ * extend. Fields:
+ * - resourceTypes: resource types to block (see RESOURCE_TYPES)
+ * - urlPatterns: URL globs or /regex/ to block
+ * - blockTrackers: block TRACKER_DOMAINS
+ * - blockDomains: more domains to block, subdomains included
+ * - blockThirdParty: block requests to other sites (true), or only those of
+ *   the listed resource types
+ * - allow: URL globs or /regex/ never blocked, checked first
+ *
+ * @param {string|Object} policy - Preset name or policy object
+ * @param {Array<string>} [blockedResourceTypes] - Replaces the policy's resource types (legacy option)
+ * @returns {Object} - Resolved policy ({ name, resourceTypes, urlPatterns, allow, blockTrackers, blockDomains, blockThirdParty })
+ */
+export function resolveRequestPolicy(policy, blockedResourceTypes = null) {
+  const presetName = typeof policy === 'string' ? policy : policy?.preset;
+  const preset = presetName ? REQUEST_POLICY_PRESETS[presetName] : {};
+  if (!preset) {
+    throw createError(`Unknown request policy "${presetName}"`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `requestPolicy must be one of: ${Object.keys(REQUEST_POLICY_PRESETS).join(', ')}, or a policy object`,
+    });
+  }
+
+  const merged = {
+    ...preset,
+    ...(typeof policy === 'object' && policy),
+    ...(blockedResourceTypes && { resourceTypes: blockedResourceTypes }),
+  };
+
+  const thirdPartyTypes = Array.isArray(merged.blockThirdParty)
+    ? merged.blockThirdParty
+    : [];
+  const unknownTypes = [
+    ...(merged.resourceTypes || []),
+    ...thirdPartyTypes,
+  ].filter(type => !RESOURCE_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    throw createError(`Unknown resource types: ${unknownTypes.join(', ')}`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `Resource types must be among: ${RESOURCE_TYPES.join(', ')}`,
+    });
+  }
+
+  let urlPatterns;
+  let allow;
+  try {
+    urlPatterns = (merged.urlPatterns || []).map(patternToRegExp);
+    allow = (merged.allow || []).map(patternToRegExp);
+  } catch (error) {
+    throw createError(`Invalid request policy pattern: ${error.message}`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `Invalid URL pattern in the request policy (${error.message}).`,
+    });
+  }
+
+  return {
+    name: presetName || 'custom',
+    resourceTypes: merged.resourceTypes || [],
+    urlPatterns,
+    allow,
+    blockTrackers: !!merged.blockTrackers,
+    blockDomains: merged.blockDomains || [],
+    blockThirdParty: merged.blockThirdParty || false,
+  };
+}
+
+/**
+ * Create the blocked request counters reported in the scrape result
+ * @param {Object} policy - Resolved policy
+ * @returns {Object} - { policy, blocked, allowed, byReason }
+ */
+export function createRequestStats(policy) {
+  return {
+    policy: policy.name,
+    blocked: 0,
+    allowed: 0,
+    byReason: {},
+  };
+}
+
+/**
+ * Check whether a request loads the scraped page itself
+ * @param {Object} request - Playwright request
+ * @returns {boolean} - True for the main frame's navigations
+ */
+function isPageNavigation(request) {
+  try {
+    return (
+      request.isNavigationRequest() && request.frame().parentFrame() === null
+    );
+  } catch {
+    // Service worker requests have no frame
+    return false;
+  }
+}
+
+/**
+ * Decide whether a request is blocked
+ * @param {Object} request - Playwright request
+ * @param {Object} policy - Resolved policy
+ * @param {string} pageSite - Site of the scraped page (see getSite)
+ * @returns {string|null} - Reason ('resourceType', 'urlPattern', 'tracker', 'domain', 'thirdParty'), or null to let it through
+ */
+function getBlockReason(request, policy, pageSite) {
+  const url = request.url();
+  const resourceType = request.resourceType();
+
+  // The page itself is never blocked, nor is anything explicitly allowed
+  if (
+    isPageNavigation(request) ||
+    policy.allow.some(pattern => pattern.test(url))
+  ) {
+    return null;
+  }
+
+  if (policy.resourceTypes.includes(resourceType)) {
+    return 'resourceType';
+  }
+  if (policy.urlPatterns.some(pattern => pattern.test(url))) {
+    return 'urlPattern';
+  }
+
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch {
+    return null;
+  }
+  // data:, blob: and similar URLs have no host and are always first-party
+  if (!hostname) {
+    return null;
+  }
+
+  if (policy.blockTrackers && matchesDomain(hostname, TRACKER_DOMAINS)) {
+    return 'tracker';
+  }
+  if (matchesDomain(hostname, policy.blockDomains)) {
+    return 'domain';
+  }
+  if (
+    policy.blockThirdParty &&
+    getSite(hostname) !== pageSite &&
+    (policy.blockThirdParty === true ||
+      policy.blockThirdParty.includes(resourceType))
+  ) {
+    return 'thirdParty';
+  }
+  return null;
+}
+
+/**
+ * Block the requests of a page according to a policy, counting what is blocked
+ * The route stays in place after navigation, so requests made while
+ * scrolling and interacting are filtered and counted too.
+ * @param {Object} page - Playwright page object
+ * @param {string} url - URL being scraped, defines which requests are first-party
+ * @param {Object} policy - Resolved policy (see resolveRequestPolicy)
+ * @param {Object} stats - Counters from createRequestStats, updated in place
+ * @returns {Promise<void>}
+ */
+export async function applyRequestPolicy(page, url, policy, stats) {
+  const pageSite = getSite(new URL(url).hostname);
+
+  await page.route('**/*', route => {
+    const reason = getBlockReason(route.request(), policy, pageSite);
+    if (reason) {
+      stats.blocked++;
+      stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+      route.abort('blockedbyclient');
+    } else {
+      stats.allowed++;
+      route.continue();
+    }
+  });
+}
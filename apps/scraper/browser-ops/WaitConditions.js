@@ -0,0 +1,247 @@
+import { WAIT_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  RETRY_STRATEGIES,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+
+// Prefixes of the string form of conditions ("selector:.price")
+const WAIT_PREFIXES = ['selector', 'hidden', 'text', 'js', 'delay', 'idle'];
+
+/**
+ * Parse the string form of a wait condition, as given on the command line
+ * - "selector:<css>" or a bare CSS selector: the element is visible
+ * - "hidden:<css>": the element is hidden or gone (spinners, skeletons)
+ * - "text:<text>": the text is visible on the page
+ * - "js:<expression>": the expression or function is truthy in the page
+ * - "delay:<ms>" or a bare number: wait a fixed time
+ * - "idle" or "idle:<ms>": the DOM has not changed for that long
+ * @param {string} spec - Condition string
+ * @returns {Object} - Condition object, see parseWaitCondition
+ */
+function parseWaitString(spec) {
+  const trimmed = spec.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return { delay: Number(trimmed) };
+  }
+  if (trimmed === 'idle') {
+    return { idle: WAIT_OPTIONS.idleMs };
+  }
+
+  const match = trimmed.match(/^([a-z]+):(.*)$/s);
+  if (!match || !WAIT_PREFIXES.includes(match[1])) {
+    return { selector: trimmed };
+  }
+
+  const [, type, value] = match;
+  switch (type) {
+    case 'hidden':
+      return { selector: value.trim(), state: 'hidden' };
+    case 'delay':
+    case 'idle':
+      return { [type]: Number(value) };
+    case 'js':
+      return { function: value.trim() };
+    default:
+      return { [type]: value.trim() };
+  }
+}
+
+/**
+ * Normalize one wait condition
+ * Objects name their type by key: { selector, state? }, { text },
+ * { function }, { delay } or { idle }, each with an optional `timeout` in ms.
+ * @param {string|Object} condition - Condition string or object
+ * @returns {Object} - { type: 'selector' | 'text' | 'function' | 'delay' | 'idle', value, state?, timeout? }
+ */
+export function parseWaitCondition(condition) {
+  const spec =
+    typeof condition === 'string' ? parseWaitString(condition) : condition;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('expected a string or an object');
+  }
+
+  const types = ['selector', 'text', 'function', 'delay', 'idle'].filter(
+    type => spec[type] !== undefined
+  );
+  if (types.length !== 1) {
+    throw new Error(
+      'expected exactly one of selector, text, function, delay or idle'
+    );
+  }
+
+  const [type] = types;
+  const value = spec[type];
+  if (type === 'delay' || type === 'idle') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${type} must be a number of milliseconds`);
+    }
+  } else if (typeof value !== 'string' || !value) {
+    throw new Error(`${type} must be a non-empty string`);
+  }
+
+  const state = spec.state || (type === 'selector' ? 'visible' : undefined);
+  if (
+    type === 'selector' &&
+    !['visible', 'attached', 'hidden', 'detached'].includes(state)
+  ) {
+    throw new Error('state must be visible, attached, hidden or detached');
+  }
+  if (
+    spec.timeout !== undefined &&
+    (!Number.isFinite(spec.timeout) || spec.timeout <= 0)
+  ) {
+    throw new Error('timeout must be a positive number of milliseconds');
+  }
+
+  return {
+    type,
+    value,
+    ...(state && { state }),
+    ...(spec.timeout && { timeout: spec.timeout }),
+  };
+}
+
+/**
+ * Resolve the waitFor option of a scrape into a list of conditions
+ * @param {string|Object|Array} waitFor - One condition or a list, run in order
+ * @returns {Array<Object>} - Normalized conditions, empty without waitFor
+ */
+export function resolveWaitConditions(waitFor) {
+  if (!waitFor) {
+    return [];
+  }
+
+  return [waitFor].flat().map(condition => {
+    try {
+      return parseWaitCondition(condition);
+    } catch (error) {
+      throw createError(`Invalid wait condition: ${error.message}`, {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: `Invalid wait condition ${JSON.stringify(condition)} (${error.message}).`,
+      });
+    }
+  });
+}
+
+/**
+ * Describe a wait condition for logs and errors
+ * @param {Object} condition - Normalized condition
+ * @returns {string} - e.g. 'selector ".price" to be visible'
+ */
+export function describeWaitCondition(condition) {
+  switch (condition.type) {
+    case 'selector':
+      return `selector "${condition.value}" to be ${condition.state}`;
+    case 'text':
+      return `text "${condition.value}"`;
+    case 'function':
+      return `${condition.value.slice(0, 80)} to be truthy`;
+    case 'delay':
+      return `${condition.value}ms`;
+    default:
+      return `DOM to be idle for ${condition.value}ms`;
+  }
+}
+
+/**
+ * Wait until the DOM has not changed for a quiet period
+ * A MutationObserver records the last change; the page is polled until it is
+ * old enough.
+ * @param {Object} page - Playwright page object
+ * @param {number} quietMs - Quiet period in ms
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<void>}
+ */
+async function waitForIdleDom(page, quietMs, timeout) {
+  await page.evaluate(() => {
+    window.__sniffhuntLastMutation = Date.now();
+    new MutationObserver(() => {
+      window.__sniffhuntLastMutation = Date.now();
+    }).observe(document, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true,
+    });
+  });
+  await page.waitForFunction(
+    ms => Date.now() - window.__sniffhuntLastMutation >= ms,
+    quietMs,
+    { timeout, polling: 100 }
+  );
+}
+
+/**
+ * Wait for one condition
+ * @param {Object} page - Playwright page object
+ * @param {Object} condition - Normalized condition
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<void>}
+ */
+async function waitForCondition(page, condition, timeout) {
+  switch (condition.type) {
+    case 'selector':
+      await page
+        .locator(condition.value)
+        .first()
+        .waitFor({ state: condition.state, timeout });
+      break;
+    case 'text':
+      await page
+        .getByText(condition.value)
+        .first()
+        .waitFor({ state: 'visible', timeout });
+      break;
+    case 'function':
+      await page.waitForFunction(condition.value, undefined, {
+        timeout,
+        polling: 100,
+      });
+      break;
+    case 'delay':
+      await page.waitForTimeout(condition.value);
+      break;
+    default:
+      await waitForIdleDom(page, condition.value, timeout);
+  }
+}
+
+/**
+ * Wait for the page to be ready for extraction, one condition after another
+ * @param {Object} page - Playwright page object
+ * @param {Array<Object>} conditions - Conditions from resolveWaitConditions
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Timeout of conditions without their own (default: WAIT_TIMEOUT)
+ * @param {AbortSignal} options.signal - Cancels the scrape
+ * @returns {Promise<void>}
+ * @throws {EnhancedError} - 'timeout' errors naming the condition that did not happen
+ */
+export async function waitForConditions(page, conditions, options = {}) {
+  for (const condition of conditions) {
+    throwIfCancelled(options.signal);
+    const timeout =
+      condition.timeout || options.timeout || WAIT_OPTIONS.timeout;
+
+    try {
+      await waitForCondition(page, condition, timeout);
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      if (error.name !== 'TimeoutError') {
+        throw error;
+      }
+      throw createError(
+        `Timed out after ${timeout}ms waiting for ${describeWaitCondition(condition)}`,
+        {
+          category: ERROR_CATEGORIES.TIMEOUT,
+          shouldRetry: true,
+          retryStrategy: RETRY_STRATEGIES.LINEAR,
+          maxRetries: 2,
+          userMessage: `The page did not become ready: timed out after ${timeout}ms waiting for ${describeWaitCondition(condition)}.`,
+          originalError: error,
+        }
+      );
+    }
+  }
+}
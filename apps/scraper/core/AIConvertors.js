@@ -1,5 +1,4 @@
 import dotenv from 'dotenv';
-import { createGoogleGenerativeAI } from '@ai-sdk/google';
 import { streamText } from 'ai';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -8,7 +7,15 @@ import {
   generateHTMLToMarkdownPrompt,
   generateMarkdownToMarkdownPrompt,
 } from '../utils/AIPrompts.js';
-import { handleError } from '../utils/GlobalErrorHandler.js';
+import { handleError, throwIfCancelled } from '../utils/GlobalErrorHandler.js';
+import { fitToContext, getLanguageModel } from '../utils/LLMProvider.js';
+import {
+  chunkHTML,
+  chunkMarkdown,
+  getChunkSize,
+  mergeMarkdownChunks,
+  processChunks,
+} from './ContentChunker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,20 +27,42 @@ dotenv.config({
 
 /**
  * Convert HTML to markdown using AI with progress indicators
+ * HTML larger than the model's context budget is converted chunk by chunk and merged.
  * @param {string} htmlContent - The HTML content to convert
  * @param {string} userQuery - Optional user query for specific content focus
  * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config ({ provider, modelName, smallModel, apiKey, baseURL })
+ * @param {AbortSignal} signal - Optional signal aborting the AI call (throws a cancelled error)
  * @returns {Promise<string>} - The AI-converted markdown content
  */
 export async function convertAndImproveMarkdownFromHTML(
   htmlContent,
   userQuery = '',
-  progressCallback = null
+  progressCallback = null,
+  llmConfig = LLM_MODEL_CONFIG,
+  signal = null
 ) {
   if (!htmlContent.trim()) {
     return '';
   }
 
+  const chunks = chunkHTML(htmlContent, getChunkSize(llmConfig, true));
+  if (chunks.length > 1) {
+    const parts = await processChunks(
+      chunks,
+      chunk =>
+        convertAndImproveMarkdownFromHTML(
+          chunk,
+          userQuery,
+          progressCallback,
+          llmConfig,
+          signal
+        ),
+      { label: 'HTML to Markdown conversion', progressCallback, signal }
+    );
+    return mergeMarkdownChunks(parts);
+  }
+
   // Helper function to log with streaming support
   const logWithStreaming = (message, level = 'info') => {
     console.log(
@@ -49,10 +78,11 @@ export async function convertAndImproveMarkdownFromHTML(
     }
   };
 
-  // Initialize Google AI
-  const google = createGoogleGenerativeAI({
-    apiKey: LLM_MODEL_CONFIG.apiKey,
-  });
+  // Initialize the configured LLM provider
+  const { model, modelName, capabilities, providerOptions } = getLanguageModel(
+    llmConfig,
+    { small: true, thinkingBudget: 1024 }
+  );
 
   let streamingComplete = false;
   let convertedMarkdown = '';
@@ -61,16 +91,17 @@ export async function convertAndImproveMarkdownFromHTML(
     logWithStreaming('Starting HTML to Markdown conversion with AI');
 
     const { textStream } = await streamText({
-      model: google(LLM_MODEL_CONFIG.smallModel ?? 'gemini-2.5-flash'),
+      model,
       temperature: 0.9,
-      providerOptions: {
-        google: {
-          thinkingConfig: {
-            thinkingBudget: 1024,
-          },
-        },
+      providerOptions,
+      abortSignal: signal || undefined,
+      onAbort: () => {
+        streamingComplete = true;
       },
-      prompt: generateHTMLToMarkdownPrompt(userQuery, htmlContent),
+      prompt: generateHTMLToMarkdownPrompt(
+        userQuery,
+        fitToContext(htmlContent, capabilities)
+      ),
       onFinish: result => {
         streamingComplete = true;
         convertedMarkdown = result.text ?? 'AI no data error';
@@ -85,6 +116,7 @@ export async function convertAndImproveMarkdownFromHTML(
     while (!streamingComplete) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
+    throwIfCancelled(signal);
 
     if (!streamingComplete) {
       logWithStreaming('AI streaming timeout, using partial result', 'warn');
@@ -102,13 +134,14 @@ export async function convertAndImproveMarkdownFromHTML(
 
     return convertedMarkdown;
   } catch (error) {
+    throwIfCancelled(signal);
     logWithStreaming(`AI conversion failed: ${error.message}`, 'error');
 
     await handleError(error, {
       operation: 'convertAndImproveMarkdown',
       htmlLength: htmlContent.length,
       userQuery: userQuery || 'none',
-      modelUsed: LLM_MODEL_CONFIG.smallModel ?? 'gemini-2.5-flash',
+      modelUsed: modelName,
     });
 
     // Return empty string if AI fails
@@ -118,20 +151,42 @@ export async function convertAndImproveMarkdownFromHTML(
 
 /**
  * Convert Markdown to markdown using AI with progress indicators
+ * Markdown larger than the model's context budget is improved section by section and merged.
  * @param {string} markdownContent - The markdown content to convert
  * @param {string} userQuery - Optional user query for specific content focus
  * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config ({ provider, modelName, smallModel, apiKey, baseURL })
+ * @param {AbortSignal} signal - Optional signal aborting the AI call (throws a cancelled error)
  * @returns {Promise<string>} - The AI-converted markdown content
  */
 export async function convertAndImproveMarkdownFromMarkdown(
   markdownContent,
   userQuery = '',
-  progressCallback = null
+  progressCallback = null,
+  llmConfig = LLM_MODEL_CONFIG,
+  signal = null
 ) {
   if (!markdownContent.trim()) {
     return '';
   }
 
+  const chunks = chunkMarkdown(markdownContent, getChunkSize(llmConfig, true));
+  if (chunks.length > 1) {
+    const parts = await processChunks(
+      chunks,
+      chunk =>
+        convertAndImproveMarkdownFromMarkdown(
+          chunk,
+          userQuery,
+          progressCallback,
+          llmConfig,
+          signal
+        ),
+      { label: 'Markdown improvement', progressCallback, signal }
+    );
+    return mergeMarkdownChunks(parts);
+  }
+
   // Helper function to log with streaming support
   const logWithStreaming = (message, level = 'info') => {
     console.log(
@@ -147,10 +202,11 @@ export async function convertAndImproveMarkdownFromMarkdown(
     }
   };
 
-  // Initialize Google AI
-  const google = createGoogleGenerativeAI({
-    apiKey: LLM_MODEL_CONFIG.apiKey,
-  });
+  // Initialize the configured LLM provider
+  const { model, modelName, capabilities, providerOptions } = getLanguageModel(
+    llmConfig,
+    { small: true, thinkingBudget: 1024 }
+  );
 
   let streamingComplete = false;
   let convertedMarkdown = '';
@@ -160,16 +216,17 @@ export async function convertAndImproveMarkdownFromMarkdown(
     logWithStreaming('Starting Markdown improvement with AI');
 
     const { textStream } = await streamText({
-      model: google(LLM_MODEL_CONFIG.smallModel ?? 'gemini-2.5-flash'),
+      model,
       temperature: 0.9,
-      providerOptions: {
-        google: {
-          thinkingConfig: {
-            thinkingBudget: 1024,
-          },
-        },
+      providerOptions,
+      abortSignal: signal || undefined,
+      onAbort: () => {
+        streamingComplete = true;
       },
-      prompt: generateMarkdownToMarkdownPrompt(userQuery, markdownContent),
+      prompt: generateMarkdownToMarkdownPrompt(
+        userQuery,
+        fitToContext(markdownContent, capabilities)
+      ),
       onFinish: result => {
         streamingComplete = true;
         convertedMarkdown = result.text ?? 'AI no data error';
@@ -184,6 +241,7 @@ export async function convertAndImproveMarkdownFromMarkdown(
     while (!streamingComplete) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
+    throwIfCancelled(signal);
 
     if (!streamingComplete) {
       logWithStreaming('AI streaming timeout, using partial result', 'warn');
@@ -201,6 +259,7 @@ export async function convertAndImproveMarkdownFromMarkdown(
 
     return convertedMarkdown;
   } catch (error) {
+    throwIfCancelled(signal);
     logWithStreaming(
       `AI Markdown improvement failed: ${error.message}`,
       'error'
@@ -210,7 +269,7 @@ export async function convertAndImproveMarkdownFromMarkdown(
       operation: 'convertAndImproveMarkdown',
       markdownLength: markdownContent.length,
       userQuery: userQuery || 'none',
-      modelUsed: LLM_MODEL_CONFIG.smallModel ?? 'gemini-2.5-flash',
+      modelUsed: modelName,
     });
 
     // Return empty string if AI fails
@@ -0,0 +1,449 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { DEFAULT_BATCH_OPTIONS, withDefaults } from '../config.js';
+import { scrapeWithStreaming } from '../WebScraper.js';
+import { BrowserPool } from '../browser-ops/BrowserPool.js';
+import { slugifyUrl } from './Crawler.js';
+import {
+  formatResult,
+  parseFormats,
+  saveFormattedResult,
+} from './OutputFormatter.js';
+import { localizeResultImages } from '../utils/AssetDownloader.js';
+import { hashContent } from '../utils/CacheManager.js';
+import {
+  buildOutputName,
+  readFromFile,
+  saveToFile,
+} from '../utils/FileManager.js';
+import { handleError } from '../utils/GlobalErrorHandler.js';
+
+const VALID_MODES = ['normal', 'beast'];
+
+/**
+ * Split one CSV line into fields (double-quoted fields may contain commas and "")
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Read the rows of a CSV file; a header row naming a `url` column is optional,
+ * without one the columns are url, query, mode
+ * @param {Array<string>} lines - Non-empty lines
+ * @returns {Array<Object>} - Raw rows with their line numbers
+ */
+function parseCsvRows(lines) {
+  const header = parseCsvLine(lines[0].text).map(name => name.toLowerCase());
+  const hasHeader = header.includes('url');
+  const columns = hasHeader ? header : ['url', 'query', 'mode'];
+
+  return lines.slice(hasHeader ? 1 : 0).map(({ text, line }) => {
+    const values = parseCsvLine(text);
+    return {
+      line,
+      ...Object.fromEntries(columns.map((name, i) => [name, values[i]])),
+    };
+  });
+}
+
+/**
+ * Parse a batch input file's content into scrape items
+ * @param {string} content - File content
+ * @param {string} format - 'txt' (one URL per line), 'csv' or 'jsonl'
+ * @returns {Array<Object>} - Items { url, query, mode }; query and mode are
+ *   undefined when the row doesn't set them
+ */
+export function parseBatchInput(content, format = 'txt') {
+  // Blank lines and # comments are ignored in every format
+  const lines = content
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text && !text.startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsvRows(lines);
+  } else if (format === 'jsonl') {
+    rows = lines.map(({ text, line }) => {
+      try {
+        return { line, ...JSON.parse(text) };
+      } catch (error) {
+        throw new Error(`Line ${line}: invalid JSON (${error.message})`);
+      }
+    });
+  } else {
+    rows = lines.map(({ text, line }) => ({ line, url: text }));
+  }
+
+  return rows.map(({ line, url, query, mode }) => {
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`Line ${line}: invalid URL "${url || ''}"`);
+    }
+
+    const rowMode = mode ? String(mode).toLowerCase() : undefined;
+    if (rowMode && !VALID_MODES.includes(rowMode)) {
+      throw new Error(
+        `Line ${line}: invalid mode "${mode}". Must be 'normal' or 'beast'`
+      );
+    }
+
+    return { url, query: query || undefined, mode: rowMode };
+  });
+}
+
+/**
+ * Read a batch input file, the format follows the extension (.csv, .jsonl,
+ * anything else is a plain list of URLs)
+ * @param {string} file - Path to the input file
+ * @returns {Promise<Array<Object>>} - Items { url, query, mode }
+ */
+export async function readBatchFile(file) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read input file ${file}: ${error.message}`);
+  }
+
+  const extension = extname(file).toLowerCase();
+  const format =
+    extension === '.csv'
+      ? 'csv'
+      : extension === '.jsonl' || extension === '.ndjson'
+        ? 'jsonl'
+        : 'txt';
+  return parseBatchInput(content, format);
+}
+
+/**
+ * Deterministic output name for an item, so a resumed batch finds the files
+ * of the previous run. The hash tells apart rows scraping the same URL with a
+ * different query or mode.
+ * @param {Object} item - Batch item { url, query, mode }
+ * @returns {string} - File name without extension
+ */
+export function batchItemName(item) {
+  const hash = hashContent(
+    JSON.stringify([item.url, item.query || '', item.mode || ''])
+  ).slice(0, 8);
+  return `${slugifyUrl(item.url).slice(0, 100)}-${hash}`;
+}
+
+/**
+ * Scrape many URLs with a concurrency limit, writing every result to
+ * <outputFilename>/<name>.md (and <name>.json with a schema) plus a
+ * report.json of successes and failures.
+ *
+ * The report is rewritten after every item, so an interrupted batch can be
+ * continued with `resume: true`: items that succeeded in the previous report
+ * are skipped, failed and missing ones are scraped again.
+ *
+ * @param {Array<Object>} items - Items { url, query, mode } (see readBatchFile)
+ * @param {Object} [options] - Batch options, plus any scrape() option used as the default of every item
+ * @param {number} [options.concurrency] - URLs scraped at once (default: 2)
+ * @param {boolean} [options.resume] - Skip items that succeeded in the existing report
+ * @param {boolean} [options.saveFiles] - Write result files and report.json (default: true)
+ * @param {string} [options.outputFilename] - Output directory name (default: "batch")
+ * @param {string} [options.outputDir] - Directory the output directory is created in (see scrape())
+ * @param {string} [options.filenameTemplate] - Name result files after a template, {name} is the item's default name
+ * @param {string} [options.ifExists] - When a result file exists: 'overwrite', 'skip' or 'version'
+ * @param {Array<string>} [options.formats] - Save these formats per item instead of <name>.md; jsonl lines are collected in results.jsonl
+ * @param {string} [options.input] - Input file name recorded in the report
+ * @param {BrowserPool} [options.browserPool] - Pool to use; by default one sized to the concurrency is created and closed
+ * @param {Function} [options.onItem] - Called with each item's report entry as soon as it finishes
+ * @param {Function} [options.progressCallback] - Receives batch and per-item scrape progress events
+ * @param {AbortSignal} [options.signal] - Stops the batch; unfinished items stay pending for a resume
+ * @returns {Promise<Object>} - { success, report }
+ */
+export async function runBatch(items, options = {}) {
+  const {
+    concurrency,
+    resume,
+    saveFiles = true,
+    outputFilename,
+    input,
+    browserPool,
+    onItem,
+    progressCallback,
+    ...scrapeOptions
+  } = withDefaults(DEFAULT_BATCH_OPTIONS, options);
+  const { signal } = scrapeOptions;
+  const reportFile = `${outputFilename}/report.json`;
+  const jsonlFile = `${outputFilename}/results.jsonl`;
+  const formats = scrapeOptions.formats?.length
+    ? parseFormats(scrapeOptions.formats)
+    : null;
+
+  const entries = items.map(item => ({
+    url: item.url,
+    query: item.query || scrapeOptions.query || '',
+    mode: item.mode || scrapeOptions.mode,
+    name: batchItemName(item),
+    status: 'pending',
+    file: null,
+    dataFile: null,
+    cached: false,
+    processingTime: null,
+    error: null,
+    errorCategory: null,
+  }));
+
+  if (resume) {
+    const previous = await readFromFile(reportFile, scrapeOptions);
+    const previousEntries = new Map(
+      previous
+        ? JSON.parse(previous).items.map(entry => [entry.name, entry])
+        : []
+    );
+    for (const [index, entry] of entries.entries()) {
+      const done = previousEntries.get(entry.name);
+      if (done?.status === 'success') {
+        entries[index] = { ...done, status: 'success', skipped: true };
+      }
+    }
+  }
+
+  const report = {
+    input: input || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: entries.length,
+    succeeded: 0,
+    failed: 0,
+    skipped: entries.filter(entry => entry.skipped).length,
+    pending: 0,
+    failuresByCategory: {},
+    items: entries,
+  };
+
+  // Refresh the counters and write the report (written after every item)
+  const writeReport = async () => {
+    report.succeeded = entries.filter(e => e.status === 'success').length;
+    report.failed = entries.filter(e => e.status === 'failed').length;
+    report.pending = entries.filter(e => e.status === 'pending').length;
+    report.failuresByCategory = {};
+    for (const entry of entries) {
+      if (entry.status === 'failed') {
+        report.failuresByCategory[entry.errorCategory] =
+          (report.failuresByCategory[entry.errorCategory] || 0) + 1;
+      }
+    }
+    if (saveFiles) {
+      await saveToFile(JSON.stringify(report, null, 2), reportFile, {
+        ...scrapeOptions,
+        ifExists: 'overwrite',
+      });
+    }
+  };
+
+  // A new batch starts a new results.jsonl, a resumed one appends to it
+  if (saveFiles && formats?.includes('jsonl') && !resume) {
+    await saveToFile('', jsonlFile, {
+      ...scrapeOptions,
+      ifExists: 'overwrite',
+    });
+  }
+
+  const queue = entries.filter(entry => entry.status === 'pending');
+  console.log(
+    `📦 Starting batch of ${entries.length} URLs (${queue.length} to scrape, ${report.skipped} already done, concurrency ${concurrency})`
+  );
+  if (progressCallback) {
+    progressCallback({
+      type: 'batch_start',
+      total: entries.length,
+      toScrape: queue.length,
+      skipped: report.skipped,
+    });
+  }
+
+  const workerCount = Math.min(concurrency, queue.length);
+  const pool =
+    browserPool ||
+    (workerCount > 0
+      ? new BrowserPool({ size: workerCount, concurrency: workerCount })
+      : null);
+  if (pool && !browserPool) {
+    // Launch every worker's browser at once, not one per first job
+    pool
+      .warmUp()
+      .catch(error =>
+        console.error('⚠️ Failed to warm up browser pool:', error.message)
+      );
+  }
+  let finished = report.skipped;
+
+  const scrapeEntry = async entry => {
+    try {
+      const result = await scrapeWithStreaming(entry.url, {
+        ...scrapeOptions,
+        query: entry.query,
+        mode: entry.mode,
+        saveFiles: false,
+        browserPool: pool,
+        progressCallback,
+      });
+
+      if (signal?.aborted) {
+        // Interrupted, scrape it again on resume
+        return;
+      }
+
+      entry.cached = !!result.cached;
+      entry.processingTime = result.processingTime;
+      if (result.success) {
+        entry.status = 'success';
+        const name = buildOutputName(entry.name, scrapeOptions, entry);
+        const meta = { ...entry, frontMatter: scrapeOptions.frontMatter };
+
+        // Saved with local image links when downloadImages is set
+        let saved = result;
+        if (saveFiles && scrapeOptions.downloadImages && result.markdown) {
+          ({ result: saved, assets: entry.assets } = await localizeResultImages(
+            result,
+            `${outputFilename}/${name}.md`,
+            scrapeOptions
+          ));
+        }
+
+        if (saveFiles && formats) {
+          entry.files = await saveFormattedResult(
+            saved,
+            formats,
+            `${outputFilename}/${name}`,
+            scrapeOptions,
+            meta,
+            jsonlFile
+          );
+          entry.file = entry.files.markdown || null;
+        } else if (saveFiles && result.markdown) {
+          entry.file = await saveToFile(
+            formatResult(saved, 'markdown', meta),
+            `${outputFilename}/${name}.md`,
+            scrapeOptions
+          );
+        }
+        if (
+          saveFiles &&
+          !formats &&
+          result.data !== null &&
+          result.data !== undefined
+        ) {
+          entry.dataFile = await saveToFile(
+            JSON.stringify(result.data, null, 2),
+            `${outputFilename}/${name}.json`,
+            scrapeOptions
+          );
+        }
+      } else {
+        entry.status = 'failed';
+        entry.error =
+          result.enhancedError?.userMessage || result.error || 'Scrape failed';
+        entry.errorCategory = result.enhancedError?.category || 'unknown';
+      }
+    } catch (error) {
+      const handledError = await handleError(error, {
+        operation: 'batch.scrape',
+        url: entry.url,
+      });
+      entry.status = 'failed';
+      entry.error = handledError.userMessage;
+      entry.errorCategory = handledError.category;
+    }
+
+    finished++;
+    console.log(
+      `📦 [${finished}/${entries.length}] ${entry.status === 'success' ? '✅' : '❌'} ${entry.url}${entry.error ? ` (${entry.errorCategory}: ${entry.error})` : ''}`
+    );
+    await writeReport();
+
+    if (onItem) {
+      await onItem(entry);
+    }
+    if (progressCallback) {
+      progressCallback({
+        type: 'batch_item_end',
+        url: entry.url,
+        success: entry.status === 'success',
+        errorCategory: entry.errorCategory,
+        finished,
+        total: entries.length,
+        succeeded: report.succeeded,
+        failed: report.failed,
+      });
+    }
+  };
+
+  // Workers take the next pending item until the queue is empty
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      await scrapeEntry(queue.shift());
+    }
+  };
+
+  try {
+    await writeReport();
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    if (pool && !browserPool) {
+      await pool.close();
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  report.cancelled = !!signal?.aborted;
+  await writeReport();
+
+  console.log(
+    `✅ Batch finished: ${report.succeeded}/${report.total} succeeded, ${report.failed} failed${report.pending ? `, ${report.pending} pending` : ''}`
+  );
+  if (progressCallback) {
+    progressCallback({
+      type: 'batch_complete',
+      total: report.total,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      skipped: report.skipped,
+      pending: report.pending,
+      failuresByCategory: report.failuresByCategory,
+    });
+  }
+
+  return {
+    success: report.failed === 0 && report.pending === 0,
+    report,
+  };
+}
@@ -0,0 +1,359 @@
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import { CHUNKING_OPTIONS } from '../config.js';
+import { throwIfCancelled } from '../utils/GlobalErrorHandler.js';
+import {
+  getContextBudget,
+  getModelCapabilities,
+  resolveLLMConfig,
+} from '../utils/LLMProvider.js';
+
+// Blocks shorter than this are never treated as duplicates (separators, short labels...)
+const MIN_DEDUPE_LENGTH = 40;
+
+/**
+ * Characters of content a single AI call may receive for this LLM config
+ * @param {Object} llmConfig - Per-call LLM config ({ chunkSize, provider, modelName... })
+ * @param {boolean} small - Whether the call uses the small model
+ * @returns {number} - Chunk size in characters
+ */
+export function getChunkSize(llmConfig = {}, small = false) {
+  const config = resolveLLMConfig(llmConfig);
+  const capabilities = getModelCapabilities(
+    config.provider,
+    small ? config.smallModel : config.modelName,
+    config
+  );
+
+  return Math.min(
+    llmConfig.chunkSize || CHUNKING_OPTIONS.chunkSize,
+    getContextBudget(capabilities)
+  );
+}
+
+/**
+ * Split markdown into chunks on structural boundaries
+ * Headings start preferred break points, while fenced code blocks and tables
+ * are never split unless a single block is larger than the chunk size.
+ * @param {string} markdown - Markdown content
+ * @param {number} maxChars - Maximum chunk length
+ * @returns {Array<string>} - Markdown chunks
+ */
+export function chunkMarkdown(markdown, maxChars) {
+  if (!markdown || markdown.length <= maxChars) {
+    return [markdown || ''];
+  }
+
+  const blocks = splitMarkdownBlocks(markdown).flatMap(block =>
+    block.length > maxChars ? splitOversizedBlock(block, maxChars) : [block]
+  );
+
+  const chunks = [];
+  let current = '';
+  for (const block of blocks) {
+    const isHeading = /^#{1,6}\s/.test(block);
+    const wouldOverflow = current.length + block.length + 2 > maxChars;
+    // Prefer to start a new chunk at a heading once the current one is half full
+    const isGoodBreak = isHeading && current.length > maxChars / 2;
+
+    if (current && (wouldOverflow || isGoodBreak)) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Split markdown into blocks separated by blank lines, keeping fenced code intact
+ * @param {string} markdown - Markdown content
+ * @returns {Array<string>} - Blocks in document order
+ */
+function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let lines = [];
+  let fence = null;
+
+  const flush = () => {
+    if (lines.length > 0) {
+      blocks.push(lines.join('\n'));
+      lines = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0]) {
+        fence = null;
+      }
+    }
+
+    if (!fence && line.trim() === '') {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Split a single block that is larger than a chunk by lines, then by length
+ * @param {string} block - Oversized block
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<string>} - Pieces
+ */
+function splitOversizedBlock(block, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  for (const line of block.split('\n')) {
+    if (line.length > maxChars) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      for (let i = 0; i < line.length; i += maxChars) {
+        pieces.push(line.slice(i, i + maxChars));
+      }
+      continue;
+    }
+
+    if (current && current.length + line.length + 1 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Split HTML into chunks on element boundaries
+ * Large elements are split between their children and every chunk keeps the
+ * wrapping elements (tables keep their <table>, lists their <ul>...), so each
+ * chunk is valid HTML on its own.
+ * @param {string} html - HTML content
+ * @param {number} maxChars - Maximum chunk length
+ * @returns {Array<string>} - HTML chunks
+ */
+export function chunkHTML(html, maxChars) {
+  if (!html || html.length <= maxChars) {
+    return [html || ''];
+  }
+
+  const tree = unified().use(rehypeParse).parse(html);
+  const htmlElement = tree.children.find(node => node.tagName === 'html');
+  const body =
+    htmlElement?.children.find(node => node.tagName === 'body') || tree;
+
+  const sizes = new WeakMap();
+  const sizeOf = node => {
+    if (!sizes.has(node)) {
+      sizes.set(node, toHtml(node).length);
+    }
+    return sizes.get(node);
+  };
+
+  return splitNode(body, maxChars, sizeOf).map(toHtml);
+}
+
+/**
+ * Recursively split a hast node into pieces no larger than maxChars
+ * @param {Object} node - hast node
+ * @param {number} maxChars - Maximum serialized size
+ * @param {Function} sizeOf - Memoized serialized size
+ * @returns {Array<Object>} - Nodes (copies of node with subsets of its children)
+ */
+function splitNode(node, maxChars, sizeOf) {
+  if (sizeOf(node) <= maxChars) {
+    return [node];
+  }
+
+  if (node.type === 'text') {
+    const pieces = [];
+    for (let i = 0; i < node.value.length; i += maxChars) {
+      pieces.push({ type: 'text', value: node.value.slice(i, i + maxChars) });
+    }
+    return pieces;
+  }
+
+  if (!node.children || node.children.length === 0) {
+    return [node];
+  }
+
+  // Budget left for children once the wrapping tags are accounted for
+  const wrapperSize = toHtml({ ...node, children: [] }).length;
+  const budget = Math.max(maxChars - wrapperSize, Math.floor(maxChars / 2));
+  const parts = node.children.flatMap(child =>
+    splitNode(child, budget, sizeOf)
+  );
+
+  const groups = [];
+  let current = [];
+  let currentSize = 0;
+  for (const part of parts) {
+    const partSize = sizeOf(part);
+    if (current.length > 0 && currentSize + partSize > budget) {
+      groups.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(part);
+    currentSize += partSize;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map(children => ({ ...node, children }));
+}
+
+/**
+ * Serialize a hast node to HTML
+ * @param {Object} node - hast node
+ * @returns {string} - HTML
+ */
+function toHtml(node) {
+  return unified()
+    .use(rehypeStringify)
+    .stringify(
+      node.type === 'root' ? node : { type: 'root', children: [node] }
+    );
+}
+
+/**
+ * Split content into chunks for the model, on structural boundaries
+ * @param {string} content - HTML or markdown
+ * @param {string} type - 'html' or 'markdown'
+ * @param {number} maxChars - Maximum chunk length
+ * @returns {Array<string>} - Chunks (a single chunk when the content fits)
+ */
+export function chunkContent(content, type, maxChars) {
+  return type === 'html'
+    ? chunkHTML(content, maxChars)
+    : chunkMarkdown(content, maxChars);
+}
+
+/**
+ * Run an async handler on each chunk in order, reporting progress
+ * @param {Array<string>} chunks - Chunks to process
+ * @param {Function} handler - async (chunk, index) => result
+ * @param {Object} options - Options
+ * @param {string} options.label - Name of the step for logs
+ * @param {Function} options.progressCallback - Optional progress callback
+ * @param {AbortSignal} options.signal - Optional signal, checked before each chunk
+ * @returns {Promise<Array>} - Handler results in chunk order
+ */
+export async function processChunks(chunks, handler, options = {}) {
+  const {
+    label = 'AI processing',
+    progressCallback = null,
+    signal = null,
+  } = options;
+  const results = [];
+
+  for (let index = 0; index < chunks.length; index++) {
+    throwIfCancelled(signal);
+    console.log(
+      `🧩 ${label}: chunk ${index + 1}/${chunks.length} (${chunks[index].length} characters)`
+    );
+    if (progressCallback) {
+      progressCallback({
+        type: 'chunk_progress',
+        label,
+        index,
+        total: chunks.length,
+        chunkLength: chunks[index].length,
+      });
+    }
+    results.push(await handler(chunks[index], index));
+  }
+
+  return results;
+}
+
+/**
+ * Merge per-chunk markdown results, dropping blocks already seen in earlier
+ * chunks and empty "no content found" answers
+ * @param {Array<string>} parts - Markdown produced for each chunk
+ * @returns {string} - Merged markdown
+ */
+export function mergeMarkdownChunks(parts) {
+  const seen = new Set();
+  const merged = [];
+
+  for (const part of parts) {
+    if (!part || /^\s*"?No content found related to/i.test(part)) {
+      continue;
+    }
+
+    for (const block of splitMarkdownBlocks(part.trim())) {
+      const key = block.replace(/\s+/g, ' ').trim().toLowerCase();
+      if (key.length >= MIN_DEDUPE_LENGTH) {
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+      }
+      merged.push(block);
+    }
+  }
+
+  // Every chunk came back empty, keep the model's answer for the first one
+  if (merged.length === 0) {
+    return parts.find(part => part && part.trim()) || '';
+  }
+  return merged.join('\n\n');
+}
+
+/**
+ * Merge interactive element detection results from several chunks
+ * Elements are de-duplicated by selector and interaction type.
+ * @param {Array<Object>} results - { interactionNeeded, analysis, elements } per chunk
+ * @returns {Object} - Combined result
+ */
+export function mergeInteractiveElements(results) {
+  const seen = new Set();
+  const elements = [];
+
+  for (const result of results) {
+    for (const element of result?.elements || []) {
+      const key = `${element.selector}|${element.interactionType}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        elements.push(element);
+      }
+    }
+  }
+
+  return {
+    interactionNeeded: results.some(
+      result => result?.interactionNeeded === 'YES'
+    )
+      ? 'YES'
+      : 'NO',
+    analysis: results
+      .map((result, index) =>
+        result?.analysis ? `[chunk ${index + 1}] ${result.analysis}` : null
+      )
+      .filter(Boolean)
+      .join('\n'),
+    elements,
+  };
+}
@@ -6,8 +6,12 @@ import rehypeRemark from 'rehype-remark';
 import rehypeHighlight from 'rehype-highlight';
 import remarkStringify from 'remark-stringify';
 import remarkGfm from 'remark-gfm';
+import remarkParse from 'remark-parse';
+import remarkRehype from 'remark-rehype';
+import { toText } from 'hast-util-to-text';
 import { visit } from 'unist-util-visit';
 import { decode } from 'html-entities';
+import { addFrontMatter } from '../utils/FrontMatter.js';
 
 /**
  * Rehype plugin to remove hydration markers and other framework-specific comments
@@ -95,9 +99,15 @@ function rehypeAbsoluteUrls(baseUrl) {
  * Convert HTML to Markdown
  * @param {string} htmlContent - The HTML content to convert
  * @param {string} baseUrl - The base URL to resolve relative URLs against
+ * @param {Object} [options] - Conversion options
+ * @param {Object} [options.frontMatter] - Fields to prepend as YAML front matter (see utils/FrontMatter.js)
  * @returns {Promise<string>} - The converted markdown content
  */
-export async function convertToMarkdown(htmlContent, baseUrl = null) {
+export async function convertToMarkdown(
+  htmlContent,
+  baseUrl = null,
+  options = {}
+) {
   const markdownProcessor = unified()
     .use(rehypeParse)
     .use(rehypeCleanFrameworkMarkers); // Clean framework markers using rehype plugin
@@ -152,7 +162,9 @@ export async function convertToMarkdown(htmlContent, baseUrl = null) {
     .replace(/([^*])\\([*])([^*])/g, '$1$2$3') // Fix \* to * when not surrounded by other *
     .replace(/([^_])\\([_])([^_])/g, '$1$2$3'); // Fix \_ to _ when not surrounded by other _
 
-  return markdown;
+  return options.frontMatter
+    ? addFrontMatter(markdown, options.frontMatter)
+    : markdown;
 }
 
 /**
@@ -170,3 +182,131 @@ export async function fixAndFormatHTML(htmlContent) {
 
   return htmlProcessor.toString();
 }
+
+/**
+ * Extract links from cleaned HTML (output of fixAndFormatHTML)
+ * @param {string} htmlContent - The cleaned HTML content
+ * @param {string} baseUrl - The page URL to resolve relative links against
+ * @returns {Array<{url: string, text: string, internal: boolean, rel: Array<string>}>} - Unique absolute http(s) links without fragments; internal links share the page's origin
+ */
+export function extractLinks(htmlContent, baseUrl) {
+  const tree = unified()
+    .use(rehypeParse)
+    .parse(htmlContent || '');
+  const origin = new URL(baseUrl).origin;
+  const links = new Map();
+
+  visit(tree, 'element', node => {
+    if (node.tagName !== 'a' || !node.properties?.href) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(String(node.properties.href), baseUrl);
+    } catch {
+      return; // Skip malformed hrefs
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return; // Skip javascript:, mailto:, tel:, data: etc.
+    }
+
+    url.hash = '';
+    const href = url.toString();
+    const text = getNodeText(node).trim();
+    const rel = [node.properties.rel || []].flat().map(String);
+    const link = links.get(href);
+    if (!link) {
+      links.set(href, {
+        url: href,
+        text,
+        internal: url.origin === origin,
+        rel,
+      });
+      return;
+    }
+
+    // Repeated links: icon links often come first, keep the first text found
+    link.text ||= text;
+    link.rel = [...new Set([...link.rel, ...rel])];
+  });
+
+  return [...links.values()];
+}
+
+/**
+ * Read an image dimension attribute
+ * @param {*} value - width/height property
+ * @returns {number|null} - Pixels, or null when missing or relative (e.g. "50%")
+ */
+function parseDimension(value) {
+  return /^\d+(px)?$/.test(String(value ?? '').trim())
+    ? parseInt(value, 10)
+    : null;
+}
+
+/**
+ * Extract images from cleaned HTML (output of fixAndFormatHTML)
+ * @param {string} htmlContent - The cleaned HTML content
+ * @param {string} baseUrl - The page URL to resolve relative sources against
+ * @returns {Array<{src: string, alt: string, width: number|null, height: number|null}>} - Unique absolute image URLs (data: URIs skipped), with dimensions when the markup sets them
+ */
+export function extractImages(htmlContent, baseUrl) {
+  const tree = unified()
+    .use(rehypeParse)
+    .parse(htmlContent || '');
+  const images = new Map();
+
+  visit(tree, 'element', node => {
+    if (node.tagName !== 'img' || !node.properties?.src) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(String(node.properties.src), baseUrl);
+    } catch {
+      return; // Skip malformed sources
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return; // Skip inline data: images
+    }
+
+    const src = url.toString();
+    if (!images.has(src)) {
+      images.set(src, {
+        src,
+        alt: String(node.properties.alt || ''),
+        width: parseDimension(node.properties.width),
+        height: parseDimension(node.properties.height),
+      });
+    }
+  });
+
+  return [...images.values()];
+}
+
+/**
+ * Convert Markdown to plain text, keeping paragraph and list breaks
+ * @param {string} markdown - The markdown content
+ * @returns {string} - Plain text
+ */
+export function convertMarkdownToText(markdown) {
+  const processor = unified().use(remarkParse).use(remarkGfm).use(remarkRehype);
+  const tree = processor.runSync(processor.parse(markdown || ''));
+  return `${toText(tree).trim()}\n`;
+}
+
+/**
+ * Get the plain text content of a hast node
+ * @param {Object} node - hast node
+ * @returns {string} - Concatenated text
+ */
+function getNodeText(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return (node.children || []).map(getNodeText).join('');
+}
@@ -0,0 +1,432 @@
+import { DEFAULT_CRAWL_OPTIONS, withDefaults } from '../config.js';
+import { scrapeWithStreaming } from '../WebScraper.js';
+import {
+  formatResult,
+  parseFormats,
+  saveFormattedResult,
+} from './OutputFormatter.js';
+import { localizeResultImages } from '../utils/AssetDownloader.js';
+import { buildOutputName, saveToFile } from '../utils/FileManager.js';
+import { handleError } from '../utils/GlobalErrorHandler.js';
+import { patternToRegExp } from '../utils/UrlPattern.js';
+import {
+  checkRobotsAllowed,
+  discoverSitemaps,
+  fetchSitemapUrls,
+} from './SiteDiscovery.js';
+
+/**
+ * Normalize a URL for de-duplication (drops fragment and trailing slash)
+ * @param {string} url - URL to normalize
+ * @returns {string} - Normalized URL
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Turn a URL into a readable, filesystem-safe name
+ * @param {string} url - Page URL
+ * @returns {string} - Slug (not unique, see urlToSlug)
+ */
+export function slugifyUrl(url) {
+  const { hostname, pathname, search } = new URL(url);
+  return (
+    `${hostname}${pathname === '/' ? '' : pathname}${search}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 120) || 'index'
+  );
+}
+
+/**
+ * Build a readable, filesystem-safe name for a crawled page
+ * @param {string} url - Page URL
+ * @param {Set<string>} usedNames - Names already taken in this crawl
+ * @returns {string} - Unique slug
+ */
+function urlToSlug(url, usedNames) {
+  const base = slugifyUrl(url);
+
+  let slug = base;
+  let counter = 2;
+  while (usedNames.has(slug)) {
+    slug = `${base}-${counter++}`;
+  }
+  usedNames.add(slug);
+  return slug;
+}
+
+/**
+ * Decide whether a discovered link should be queued
+ * @param {string} url - Candidate URL
+ * @param {URL} origin - Start URL
+ * @param {Object} rules - Compiled crawl rules
+ * @returns {boolean} - True if the link may be followed
+ */
+function shouldFollow(url, origin, rules) {
+  if (rules.sameOrigin && new URL(url).origin !== origin.origin) {
+    return false;
+  }
+  if (rules.exclude.some(pattern => pattern.test(url))) {
+    return false;
+  }
+  if (
+    rules.include.length > 0 &&
+    !rules.include.some(pattern => pattern.test(url))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Crawl a site starting at a URL, following links found in each page's
+ * cleaned HTML, and produce one markdown document per page plus a manifest.
+ * With respectRobotsTxt, disallowed URLs are skipped and the site's
+ * Crawl-delay raises the politeness delay.
+ *
+ * @param {string} startUrl - The URL to start crawling from
+ * @param {Object} [options] - Crawl options, plus any scrape() option (mode, query, llm, browserPool...)
+ * @param {number} [options.maxDepth] - Maximum link depth from the start URL (default: 2)
+ * @param {number} [options.maxPages] - Maximum number of pages to scrape (default: 20)
+ * @param {Array<string|RegExp>} [options.include] - Only follow URLs matching one of these patterns
+ * @param {Array<string|RegExp>} [options.exclude] - Never follow URLs matching these patterns
+ * @param {boolean} [options.sameOrigin] - Stay on the start URL's origin (default: true)
+ * @param {number} [options.delay] - Politeness delay between pages in ms (default: 1000)
+ * @param {boolean} [options.saveFiles] - Write <outputFilename>/<page>.md files and manifest.json
+ * @param {string} [options.outputFilename] - Output directory name for saved files (default: "crawl")
+ * @param {string} [options.outputDir] - Directory the output directory is created in (see scrape())
+ * @param {string} [options.filenameTemplate] - Name page files after a template, {name} is the page slug
+ * @param {string} [options.ifExists] - When a page file exists: 'overwrite', 'skip' or 'version'
+ * @param {Array<string>} [options.formats] - Save these formats per page instead of <page>.md; jsonl lines are collected in pages.jsonl
+ * @param {Object} [options.schema] - Extract schema-validated JSON from every page (saved as <page>.json)
+ * @param {Function} [options.onPage] - Called with each page result as soon as it is scraped
+ * @param {Function} [options.progressCallback] - Receives crawl and per-page scrape progress events
+ * @param {AbortSignal} [options.signal] - Stops the crawl, the page being scraped is cancelled
+ * @returns {Promise<Object>} - { success, pages, manifest }
+ */
+export async function crawl(startUrl, options = {}) {
+  return await crawlUrls([startUrl], startUrl, options);
+}
+
+/**
+ * Scrape every page listed in a sitemap (sitemap index files are followed).
+ * Accepts a sitemap URL or any site URL, in which case sitemaps are discovered
+ * from robots.txt Sitemap directives or /sitemap.xml.
+ *
+ * @param {string} url - Sitemap URL or site URL
+ * @param {Object} [options] - Same options as crawl(); links are not followed unless maxDepth > 0
+ * @returns {Promise<Object>} - { success, pages, manifest }
+ */
+export async function scrapeSitemap(url, options = {}) {
+  const { include = [], exclude = [] } = options;
+  const isSitemap = /\.xml(\.gz)?$/i.test(new URL(url).pathname);
+  const sitemapUrls = isSitemap
+    ? [url]
+    : await discoverSitemaps(url, { userAgent: options.userAgent });
+
+  const includePatterns = include.map(patternToRegExp);
+  const excludePatterns = exclude.map(patternToRegExp);
+  const seeds = [];
+  for (const sitemapUrl of sitemapUrls) {
+    const entries = await fetchSitemapUrls(sitemapUrl, {
+      userAgent: options.userAgent,
+    });
+    for (const entry of entries) {
+      if (
+        !excludePatterns.some(pattern => pattern.test(entry.url)) &&
+        (includePatterns.length === 0 ||
+          includePatterns.some(pattern => pattern.test(entry.url)))
+      ) {
+        seeds.push(entry.url);
+      }
+    }
+  }
+
+  console.log(`🗺️ ${seeds.length} sitemap URLs selected for scraping`);
+  return await crawlUrls(seeds, url, {
+    maxDepth: 0,
+    outputFilename: 'sitemap',
+    ...options,
+    sitemaps: sitemapUrls,
+  });
+}
+
+/**
+ * Scrape a list of seed URLs breadth-first, following links up to maxDepth
+ * @param {Array<string>} seeds - URLs to start from (depth 0)
+ * @param {string} startUrl - URL recorded in the manifest and used for same-origin checks
+ * @param {Object} options - See crawl()
+ * @returns {Promise<Object>} - { success, pages, manifest }
+ */
+async function crawlUrls(seeds, startUrl, options) {
+  const {
+    maxDepth,
+    maxPages,
+    include,
+    exclude,
+    sameOrigin,
+    delay,
+    saveFiles,
+    outputFilename,
+    onPage,
+    progressCallback,
+    sitemaps,
+    ...scrapeOptions
+  } = withDefaults(DEFAULT_CRAWL_OPTIONS, options);
+
+  const origin = new URL(startUrl);
+  const rules = {
+    sameOrigin,
+    include: include.map(patternToRegExp),
+    exclude: exclude.map(patternToRegExp),
+  };
+
+  const queue = [];
+  const seen = new Set();
+  for (const seed of seeds) {
+    const seedUrl = normalizeUrl(seed);
+    if (!seen.has(seedUrl)) {
+      seen.add(seedUrl);
+      queue.push({ url: seedUrl, depth: 0, parent: null });
+    }
+  }
+  const usedNames = new Set();
+  const jsonlFile = `${outputFilename}/pages.jsonl`;
+  const formats = scrapeOptions.formats?.length
+    ? parseFormats(scrapeOptions.formats)
+    : null;
+  if (saveFiles && formats?.includes('jsonl')) {
+    await saveToFile('', jsonlFile, {
+      ...scrapeOptions,
+      ifExists: 'overwrite',
+    });
+  }
+  const pages = [];
+  const manifest = {
+    startUrl,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    options: {
+      maxDepth,
+      maxPages,
+      include: include.map(String),
+      exclude: exclude.map(String),
+      sameOrigin,
+      delay,
+      mode: scrapeOptions.mode,
+      query: scrapeOptions.query || '',
+      respectRobotsTxt: !!scrapeOptions.respectRobotsTxt,
+    },
+    sitemaps: sitemaps || null,
+    pages: [],
+    skipped: [],
+  };
+
+  console.log(
+    `🕸️ Starting crawl at ${startUrl} (depth ${maxDepth}, max ${maxPages} pages)`
+  );
+
+  const { signal } = scrapeOptions;
+  while (queue.length > 0 && pages.length < maxPages && !signal?.aborted) {
+    const { url, depth, parent } = queue.shift();
+
+    let pageDelay = delay;
+    if (scrapeOptions.respectRobotsTxt) {
+      const robots = await checkRobotsAllowed(url, {
+        userAgent: scrapeOptions.userAgent,
+      });
+      if (!robots.allowed) {
+        console.log(`🚫 Skipping ${url} (disallowed by robots.txt)`);
+        manifest.skipped.push({
+          url,
+          depth,
+          parent,
+          reason: `robots.txt Disallow: ${robots.rule.path}`,
+        });
+        continue;
+      }
+      if (robots.crawlDelay) {
+        pageDelay = Math.max(delay, robots.crawlDelay * 1000);
+      }
+    }
+
+    if (pages.length > 0 && pageDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, pageDelay));
+    }
+
+    console.log(`🕸️ [${pages.length + 1}/${maxPages}] depth ${depth}: ${url}`);
+    if (progressCallback) {
+      progressCallback({
+        type: 'crawl_page_start',
+        url,
+        depth,
+        index: pages.length,
+        queued: queue.length,
+      });
+    }
+
+    const result = await scrapeWithStreaming(url, {
+      ...scrapeOptions,
+      saveFiles: false,
+      progressCallback,
+    });
+
+    if (signal?.aborted) {
+      // Leave the interrupted page queued, it counts as remaining
+      queue.unshift({ url, depth, parent });
+      break;
+    }
+
+    const links = [];
+    if (result.success && depth < maxDepth) {
+      try {
+        for (const link of result.links) {
+          const linkUrl = normalizeUrl(link.url);
+          if (seen.has(linkUrl) || !shouldFollow(linkUrl, origin, rules)) {
+            continue;
+          }
+          seen.add(linkUrl);
+          links.push(linkUrl);
+          queue.push({ url: linkUrl, depth: depth + 1, parent: url });
+        }
+      } catch (error) {
+        await handleError(error, { operation: 'crawl.queueLinks', url });
+      }
+    }
+
+    const meta = {
+      url,
+      mode: scrapeOptions.mode,
+      query: scrapeOptions.query,
+      frontMatter: scrapeOptions.frontMatter,
+    };
+    const page = {
+      url,
+      depth,
+      parent,
+      success: result.success,
+      // As saved, with front matter when scrapeOptions.frontMatter is set
+      markdown: result.success
+        ? formatResult(result, 'markdown', meta)
+        : result.markdown,
+      data: result.data,
+      dataValid: result.dataValid,
+      processingTime: result.processingTime,
+      linksQueued: links.length,
+      file: null,
+      error: result.success
+        ? null
+        : result.enhancedError?.userMessage || result.error || 'Scrape failed',
+    };
+
+    if (saveFiles && result.success) {
+      const name = buildOutputName(
+        urlToSlug(url, usedNames),
+        scrapeOptions,
+        meta
+      );
+
+      // Saved with local image links when downloadImages is set
+      let saved = result;
+      if (scrapeOptions.downloadImages && result.markdown) {
+        ({ result: saved, assets: page.assets } = await localizeResultImages(
+          result,
+          `${outputFilename}/${name}.md`,
+          scrapeOptions
+        ));
+      }
+
+      if (formats) {
+        const files = await saveFormattedResult(
+          saved,
+          formats,
+          `${outputFilename}/${name}`,
+          scrapeOptions,
+          meta,
+          jsonlFile
+        );
+        page.file = files.markdown || null;
+      } else if (result.markdown) {
+        page.file = await saveToFile(
+          formatResult(saved, 'markdown', meta),
+          `${outputFilename}/${name}.md`,
+          scrapeOptions
+        );
+        if (result.data !== null && result.data !== undefined) {
+          await saveToFile(
+            JSON.stringify(result.data, null, 2),
+            `${outputFilename}/${name}.json`,
+            scrapeOptions
+          );
+        }
+      }
+    }
+
+    pages.push(page);
+    manifest.pages.push({
+      url: page.url,
+      depth: page.depth,
+      parent: page.parent,
+      success: page.success,
+      file: page.file,
+      markdownLength: page.markdown?.length || 0,
+      dataValid: page.dataValid,
+      processingTime: page.processingTime,
+      linksQueued: page.linksQueued,
+      error: page.error,
+    });
+
+    if (onPage) {
+      await onPage(page);
+    }
+    if (progressCallback) {
+      progressCallback({
+        type: 'crawl_page_end',
+        url,
+        depth,
+        success: page.success,
+        linksQueued: page.linksQueued,
+      });
+    }
+  }
+
+  manifest.finishedAt = new Date().toISOString();
+  manifest.pagesScraped = pages.length;
+  manifest.pagesFailed = pages.filter(page => !page.success).length;
+  manifest.pagesRemaining = queue.length;
+  manifest.cancelled = !!signal?.aborted;
+
+  if (saveFiles) {
+    await saveToFile(
+      JSON.stringify(manifest, null, 2),
+      `${outputFilename}/manifest.json`,
+      { ...scrapeOptions, ifExists: 'overwrite' }
+    );
+  }
+
+  console.log(
+    `✅ Crawl finished: ${pages.length - manifest.pagesFailed}/${pages.length} pages scraped, ${queue.length} left in queue`
+  );
+  if (progressCallback) {
+    progressCallback({
+      type: 'crawl_complete',
+      pagesScraped: pages.length,
+      pagesFailed: manifest.pagesFailed,
+      pagesRemaining: queue.length,
+    });
+  }
+
+  return {
+    success: pages.some(page => page.success),
+    pages,
+    manifest,
+  };
+}
@@ -1,13 +1,19 @@
 import dotenv from 'dotenv';
-import { createGoogleGenerativeAI } from '@ai-sdk/google';
 import { streamObject } from 'ai';
 import { z } from 'zod';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { closeModals, findModals, isScrollingBlocked } from './ModalHandler.js';
 import { generateHTMLAnalysisPrompt } from '../utils/AIPrompts.js';
-import { handleError } from '../utils/GlobalErrorHandler.js';
-import { LLM_MODEL_CONFIG } from '../config.js';
+import { handleError, throwIfCancelled } from '../utils/GlobalErrorHandler.js';
+import { fitToContext, getLanguageModel } from '../utils/LLMProvider.js';
+import { CHUNKING_OPTIONS, LLM_MODEL_CONFIG } from '../config.js';
+import {
+  chunkHTML,
+  getChunkSize,
+  mergeInteractiveElements,
+  processChunks,
+} from './ContentChunker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -79,12 +85,16 @@ async function cleanup(page) {
  * @param {string} htmlContent - The HTML content to analyze
  * @param {string} userQuery - Optional user query for specific content
  * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config ({ provider, modelName, apiKey, baseURL })
+ * @param {AbortSignal} signal - Optional signal aborting the AI call
  * @returns {Promise<{object: Object}>} - The complete AI analysis result
  */
 async function _streamAIAnalysis(
   htmlContent,
   userQuery = '',
-  progressCallback = null
+  progressCallback = null,
+  llmConfig = LLM_MODEL_CONFIG,
+  signal = null
 ) {
   // Helper function to log with streaming support
   const logWithStreaming = (message, level = 'info') => {
@@ -103,8 +113,8 @@ async function _streamAIAnalysis(
 
   console.log('🤖 AI Analysis ongoing...');
 
-  const google = createGoogleGenerativeAI({
-    apiKey: LLM_MODEL_CONFIG.apiKey,
+  const { model, capabilities, providerOptions } = getLanguageModel(llmConfig, {
+    thinkingBudget: 2048,
   });
 
   // Track streaming progress
@@ -113,16 +123,17 @@ async function _streamAIAnalysis(
 
   try {
     const { partialObjectStream } = await streamObject({
-      model: google('gemini-2.5-flash'), // Use specific model for better structured output
+      model, // Use specific model for better structured output
       schema: InteractiveElementsSchema,
-      prompt: generateHTMLAnalysisPrompt(htmlContent, userQuery),
+      prompt: generateHTMLAnalysisPrompt(
+        fitToContext(htmlContent, capabilities),
+        userQuery
+      ),
       temperature: 0.9, // Lower temperature for more consistent structured output
-      providerOptions: {
-        google: {
-          thinkingConfig: {
-            thinkingBudget: 2048,
-          },
-        },
+      providerOptions,
+      abortSignal: signal || undefined,
+      onAbort: () => {
+        streamingComplete = true;
       },
       onFinish: result => {
         streamingComplete = true;
@@ -138,6 +149,7 @@ async function _streamAIAnalysis(
     while (!streamingComplete) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
+    throwIfCancelled(signal);
 
     // Ensure elements array exists
     if (!Array.isArray(completeResult.elements)) {
@@ -146,6 +158,7 @@ async function _streamAIAnalysis(
 
     return { object: completeResult };
   } catch (error) {
+    throwIfCancelled(signal);
     console.error('🚨 AI Analysis Error Details:');
     console.error('Error type:', error.constructor.name);
     console.error('Error message:', error.message);
@@ -187,24 +200,103 @@ async function _streamAIAnalysis(
   }
 }
 
+/**
+ * Analyze HTML that is larger than one AI call in chunks and merge the results
+ * @param {Array<string>} chunks - HTML chunks from chunkHTML
+ * @param {string} userQuery - Optional user query for specific content
+ * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config
+ * @param {AbortSignal} signal - Optional signal aborting the analysis
+ * @returns {Promise<{object: Object}>} - Merged AI analysis result
+ */
+async function _analyzeChunks(
+  chunks,
+  userQuery,
+  progressCallback,
+  llmConfig,
+  signal
+) {
+  const maxChunks = llmConfig.maxChunks || CHUNKING_OPTIONS.maxChunks;
+  if (chunks.length > maxChunks) {
+    console.log(
+      `⚠️ Page split into ${chunks.length} chunks, analyzing the first ${maxChunks} for interactive elements`
+    );
+    if (progressCallback) {
+      progressCallback({
+        type: 'log',
+        level: 'warn',
+        message: `Page split into ${chunks.length} chunks, analyzing the first ${maxChunks} for interactive elements`,
+      });
+    }
+  }
+
+  let lastError = null;
+  const results = await processChunks(
+    chunks.slice(0, maxChunks),
+    async chunk => {
+      try {
+        const result = await _streamAIAnalysis(
+          chunk,
+          userQuery,
+          progressCallback,
+          llmConfig,
+          signal
+        );
+        return result.object;
+      } catch (error) {
+        throwIfCancelled(signal);
+        // One failing chunk shouldn't discard the elements found in the others
+        lastError = error;
+        console.error(`⚠️ Chunk analysis failed: ${error.message}`);
+        return null;
+      }
+    },
+    { label: 'Interactive element detection', progressCallback, signal }
+  );
+
+  if (results.every(result => result === null)) {
+    throw lastError;
+  }
+
+  return { object: mergeInteractiveElements(results) };
+}
+
 /**
  * Find interactive elements like buttons, dropdowns, etc. that might reveal hidden content
+ * HTML larger than the model's context budget is analyzed in chunks.
  * @param {string} clonedHTML - The HTML content to analyze
  * @param {string} userQuery - Optional user query for specific content to focus on
  * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config ({ provider, modelName, apiKey, baseURL, chunkSize, maxChunks })
+ * @param {AbortSignal} signal - Optional signal cancelling the analysis
  * @returns {Promise<Object>} - Object containing analysis and array of interactive elements
  */
 export async function findInteractiveElements(
   clonedHTML,
   userQuery = '',
-  progressCallback = null
+  progressCallback = null,
+  llmConfig = LLM_MODEL_CONFIG,
+  signal = null
 ) {
+  const chunks = chunkHTML(clonedHTML, getChunkSize(llmConfig));
+
   // Use streaming for better user experience
-  const result = await _streamAIAnalysis(
-    clonedHTML,
-    userQuery,
-    progressCallback
-  );
+  const result =
+    chunks.length > 1
+      ? await _analyzeChunks(
+          chunks,
+          userQuery,
+          progressCallback,
+          llmConfig,
+          signal
+        )
+      : await _streamAIAnalysis(
+          clonedHTML,
+          userQuery,
+          progressCallback,
+          llmConfig,
+          signal
+        );
 
   if (result.object.interactionNeeded === 'NO') {
     console.log('✅ No interaction needed based on AI analysis');
@@ -525,11 +617,13 @@ async function _getDynamicContent(page) {
  * Process interactive elements and extract dynamic content revealed by interactions
  * @param {Object} page - Playwright page object
  * @param {Object} interactiveElements - Object containing array of interactive elements
+ * @param {AbortSignal} signal - Optional signal, checked before each element
  * @returns {Promise<Array<Object>>} - Array of objects containing dynamic content information
  */
 export async function processInteractiveElementsContent(
   page,
-  interactiveElements
+  interactiveElements,
+  signal = null
 ) {
   try {
     if (
@@ -549,6 +643,7 @@ export async function processInteractiveElementsContent(
 
     // Process elements with better error handling and early exits
     for (const element of interactiveElements.elements) {
+      throwIfCancelled(signal);
       try {
         const locator = page.locator(element.selector);
         const elementCount = await locator.count();
@@ -730,6 +825,7 @@ export async function processInteractiveElementsContent(
 
     return dynamicContentResults;
   } catch (error) {
+    throwIfCancelled(signal);
     await handleError(error, {
       operation: 'processInteractiveElementsContent',
       elementsCount: interactiveElements?.elements?.length || 0,
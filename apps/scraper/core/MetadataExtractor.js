@@ -0,0 +1,168 @@
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import { visit } from 'unist-util-visit';
+
+/**
+ * Get the plain text content of a hast node
+ * @param {Object} node - hast node
+ * @returns {string} - Concatenated text
+ */
+function getNodeText(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return (node.children || []).map(getNodeText).join('');
+}
+
+/**
+ * Resolve a URL against the page URL
+ * @param {string} value - Absolute or relative URL
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL, or null when missing or malformed
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a JSON-LD script, flattening @graph containers and arrays
+ * @param {string} content - Script content
+ * @returns {Array<Object>} - JSON-LD objects (empty when the script is invalid)
+ */
+function parseJsonLd(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return [];
+  }
+
+  return (Array.isArray(parsed) ? parsed : [parsed]).flatMap(item =>
+    item && typeof item === 'object'
+      ? Array.isArray(item['@graph'])
+        ? item['@graph']
+        : [item]
+      : []
+  );
+}
+
+/**
+ * Get a person or organization name from a JSON-LD author/publisher value
+ * @param {*} value - String, object with a name, or an array of those
+ * @returns {string|null} - Comma-separated names
+ */
+function getJsonLdName(value) {
+  const names = (Array.isArray(value) ? value : [value])
+    .map(item => (typeof item === 'string' ? item : item?.name))
+    .filter(name => typeof name === 'string' && name.trim());
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * Extract page metadata from the full page HTML
+ * Run on the navigated page before content cleanup, which drops the <head>.
+ * @param {string} htmlContent - Page HTML including <head>
+ * @param {string} baseUrl - Page URL, to resolve the canonical link and favicon
+ * @returns {Object} - { title, description, author, publishedAt, modifiedAt, canonical, next, lang, favicon, openGraph, twitter, jsonLd }
+ */
+export function extractMetadata(htmlContent, baseUrl) {
+  const tree = unified()
+    .use(rehypeParse)
+    .parse(htmlContent || '');
+
+  let title = null;
+  let lang = null;
+  let canonical = null;
+  let next = null;
+  let favicon = null;
+  const meta = {};
+  const openGraph = {};
+  const twitter = {};
+  const jsonLd = [];
+
+  visit(tree, 'element', node => {
+    const properties = node.properties || {};
+
+    switch (node.tagName) {
+      case 'html':
+        lang = properties.lang ? String(properties.lang) : lang;
+        break;
+      case 'title':
+        // The first <title> is the document's, later ones belong to inline SVGs
+        title ??= getNodeText(node).trim() || null;
+        break;
+      case 'meta': {
+        const key = String(properties.property || properties.name || '')
+          .trim()
+          .toLowerCase();
+        const content = properties.content;
+        if (!key || content === undefined || content === null) {
+          break;
+        }
+
+        const value = String(content).trim();
+        if (key.startsWith('og:')) {
+          openGraph[key.slice(3)] ??= value;
+        } else if (key.startsWith('twitter:')) {
+          twitter[key.slice(8)] ??= value;
+        } else {
+          meta[key] ??= value;
+        }
+        break;
+      }
+      case 'link': {
+        const rel = [properties.rel || []].flat().map(String);
+        if (rel.includes('canonical')) {
+          canonical ??= resolveUrl(properties.href, baseUrl);
+        } else if (rel.includes('icon')) {
+          favicon ??= resolveUrl(properties.href, baseUrl);
+        } else if (rel.includes('next')) {
+          next ??= resolveUrl(properties.href, baseUrl);
+        }
+        break;
+      }
+      case 'script':
+        if (properties.type === 'application/ld+json') {
+          jsonLd.push(...parseJsonLd(getNodeText(node)));
+        }
+        break;
+    }
+  });
+
+  // Article-like JSON-LD objects fill in author and dates missing from <meta>
+  const article = jsonLd.find(
+    item => item.author || item.datePublished || item.dateModified
+  );
+
+  return {
+    title: title || openGraph.title || twitter.title || null,
+    description:
+      meta.description || openGraph.description || twitter.description || null,
+    author:
+      meta.author ||
+      meta['article:author'] ||
+      getJsonLdName(article?.author) ||
+      null,
+    publishedAt:
+      meta['article:published_time'] || article?.datePublished || null,
+    modifiedAt:
+      meta['article:modified_time'] ||
+      openGraph.updated_time ||
+      article?.dateModified ||
+      null,
+    canonical: canonical || resolveUrl(openGraph.url, baseUrl),
+    next,
+    lang,
+    favicon: favicon || resolveUrl('/favicon.ico', baseUrl),
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+}
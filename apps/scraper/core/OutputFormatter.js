@@ -0,0 +1,182 @@
+import { convertMarkdownToText } from './ContentConvertor.js';
+import { appendToFile, saveToFile } from '../utils/FileManager.js';
+import { addFrontMatter, getFrontMatterFields } from '../utils/FrontMatter.js';
+
+// Output formats, in the order they are documented
+export const OUTPUT_FORMATS = ['markdown', 'json', 'text', 'html', 'jsonl'];
+
+// File extension written for each format
+export const FORMAT_EXTENSIONS = {
+  markdown: 'md',
+  json: 'json',
+  text: 'txt',
+  html: 'html',
+  jsonl: 'jsonl',
+};
+
+/**
+ * Validate a list of output formats
+ * @param {Array<string>|string} formats - Formats, or a comma-separated list ("json,text")
+ * @returns {Array<string>} - Unique, lower-cased formats
+ */
+export function parseFormats(formats) {
+  const list = (Array.isArray(formats) ? formats : String(formats).split(','))
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = list.filter(format => !OUTPUT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown output format: ${unknown.join(', ')}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`
+    );
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Build the JSON envelope of a scrape result
+ * @param {Object} result - Result of scrape(url, options) / scrapeWithStreaming
+ * @param {Object} meta - Request details
+ * @param {string} meta.url - Scraped URL
+ * @param {string} meta.mode - Scraping mode
+ * @param {string} meta.query - User query
+ * @param {boolean} meta.frontMatter - Prepend YAML front matter (source, scrape time, page metadata...) to the markdown format
+ * @returns {Object} - { url, success, markdown, html, data, metadata, links, images, timings, error }
+ */
+export function buildResultEnvelope(result, meta = {}) {
+  const { url, mode, query } = meta;
+  const html = result.html || '';
+  const error = result.enhancedError;
+
+  return {
+    url,
+    success: !!result.success,
+    markdown: result.markdown || null,
+    html: result.html || null,
+    ...(result.dataValid !== null &&
+      result.dataValid !== undefined && {
+        data: result.data,
+        dataValid: result.dataValid,
+        dataErrors: result.dataErrors || [],
+      }),
+    metadata: {
+      // Page metadata (title, description, OpenGraph, JSON-LD...)
+      ...result.metadata,
+      url,
+      mode: mode || null,
+      query: query || '',
+      cached: !!result.cached,
+      scrapedAt: result.scrapedAt || new Date().toISOString(),
+      requests: result.requests || null,
+      contentLength: {
+        markdown: result.markdown?.length || 0,
+        html: html.length,
+      },
+    },
+    links: result.links || [],
+    images: result.images || [],
+    timings: {
+      total: result.processingTime ?? null,
+      phases: result.phases || [],
+    },
+    // Set for failures and for successful scrapes with degraded features
+    error: error
+      ? {
+          message: error.message,
+          userMessage: error.userMessage,
+          category: error.category,
+          id: error.stackId,
+        }
+      : result.error
+        ? { message: result.error, userMessage: result.error }
+        : null,
+  };
+}
+
+/**
+ * Render a scrape result in one output format
+ * @param {Object} result - Scrape result
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {Object} meta - Request details, see buildResultEnvelope
+ * @returns {string} - Formatted output
+ */
+export function formatResult(result, format, meta = {}) {
+  switch (format) {
+    case 'markdown':
+      return meta.frontMatter
+        ? addFrontMatter(
+            result.markdown,
+            getFrontMatterFields({
+              ...meta,
+              scrapedAt: result.scrapedAt,
+              markdown: result.markdown,
+              metadata: result.metadata,
+            })
+          )
+        : result.markdown || '';
+    case 'text':
+      return convertMarkdownToText(result.markdown);
+    case 'html':
+      return result.html || '';
+    case 'json':
+      return JSON.stringify(buildResultEnvelope(result, meta), null, 2);
+    case 'jsonl':
+      return `${JSON.stringify(buildResultEnvelope(result, meta))}\n`;
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+/**
+ * Render a scrape result in several formats, for API responses
+ * The json format is returned as an object, jsonl as a single line.
+ * @param {Object} result - Scrape result
+ * @param {Array<string>} formats - Formats to render
+ * @param {Object} meta - Request details, see buildResultEnvelope
+ * @returns {Object} - { [format]: output }
+ */
+export function renderFormats(result, formats, meta = {}) {
+  return Object.fromEntries(
+    formats.map(format => [
+      format,
+      format === 'json'
+        ? buildResultEnvelope(result, meta)
+        : formatResult(result, format, meta),
+    ])
+  );
+}
+
+/**
+ * Save a scrape result as <name>.<ext> for each format
+ * jsonl is appended to <jsonlFile> instead, so batches and crawls collect one
+ * line per page in a single file.
+ * @param {Object} result - Scrape result
+ * @param {Array<string>} formats - Formats to save
+ * @param {string} name - Filename without extension
+ * @param {Object} options - Output options passed to saveToFile (outputDir, ifExists)
+ * @param {Object} meta - Request details, see buildResultEnvelope
+ * @param {string} jsonlFile - File jsonl lines are appended to (default: <name>.jsonl)
+ * @returns {Promise<Object>} - { [format]: saved filename or null }
+ */
+export async function saveFormattedResult(
+  result,
+  formats,
+  name,
+  options = {},
+  meta = {},
+  jsonlFile = null
+) {
+  const files = {};
+  for (const format of formats) {
+    const content = formatResult(result, format, meta);
+    files[format] =
+      format === 'jsonl' && jsonlFile
+        ? await appendToFile(content, jsonlFile, options)
+        : await saveToFile(
+            content,
+            `${name}.${FORMAT_EXTENSIONS[format]}`,
+            options
+          );
+  }
+  return files;
+}
@@ -0,0 +1,272 @@
+import { DEFAULT_PAGINATION_OPTIONS, withDefaults } from '../config.js';
+import { scrapeWithStreaming } from '../WebScraper.js';
+import { formatResult } from './OutputFormatter.js';
+import { buildOutputName, saveToFile } from '../utils/FileManager.js';
+
+/**
+ * Normalize a markdown block for comparison across pages
+ * @param {string} block - Markdown block
+ * @returns {string} - Block with whitespace collapsed
+ */
+function normalizeBlock(block) {
+  return block.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Remove headers and footers repeated across the pages of a listing
+ * Pages are split into blocks (paragraphs, headings, lists...). Blocks found
+ * once on each of at least half of the pages (and two or more) are
+ * boilerplate when they open or close a page: the first page keeps its
+ * header, the last page its footer, and the other copies are dropped. Blocks
+ * repeated within a page, such as the "Add to cart" of every item, are kept.
+ * @param {Array<string>} markdowns - Markdown of each page, in order
+ * @returns {Array<string>} - Markdown of each page without the repeated copies
+ */
+export function removeRepeatedBlocks(markdowns) {
+  const pages = markdowns.map(markdown =>
+    (markdown || '').split(/\n{2,}/).filter(block => block.trim())
+  );
+  if (pages.length < 2) {
+    return markdowns.map(markdown => markdown || '');
+  }
+
+  // Pages each block is on, or Infinity once it shows up twice on a page
+  const pageCounts = new Map();
+  for (const blocks of pages) {
+    const onPage = new Set();
+    for (const block of blocks.map(normalizeBlock)) {
+      const count = pageCounts.get(block) || 0;
+      pageCounts.set(block, onPage.has(block) ? Infinity : count + 1);
+      onPage.add(block);
+    }
+  }
+  const threshold = Math.max(2, Math.ceil(pages.length / 2));
+  const isRepeated = block => {
+    const count = pageCounts.get(normalizeBlock(block)) || 0;
+    return count >= threshold && count !== Infinity;
+  };
+
+  return pages.map((blocks, index) => {
+    let start = 0;
+    let end = blocks.length;
+    if (index > 0) {
+      while (start < end && isRepeated(blocks[start])) {
+        start++;
+      }
+    }
+    if (index < pages.length - 1) {
+      while (end > start && isRepeated(blocks[end - 1])) {
+        end--;
+      }
+    }
+    return blocks.slice(start, end).join('\n\n');
+  });
+}
+
+/**
+ * Mark where a page starts in paginated output
+ * @param {number} index - Page number, from 1
+ * @param {string} url - Page URL
+ * @returns {string} - HTML comment, invisible once rendered
+ */
+function pageMarker(index, url) {
+  return `<!-- page ${index}: ${url} -->`;
+}
+
+/**
+ * Scrape a paginated listing by following its "next page" control
+ *
+ * Each page is scraped like scrape() does, then the next page is found
+ * (see browser-ops/NextPageFinder.js): a rel="next" link, a "Next" link, a
+ * "next" class or the following page number, or the given selector. Pages are
+ * followed until there is no next page, maxPages is reached, a page fails or
+ * a page comes back twice. Headers and footers repeated across pages are
+ * removed (see removeRepeatedBlocks).
+ *
+ * @param {string} startUrl - URL of the first page
+ * @param {Object} [options] - Pagination options, plus any scrape() option (mode, query, llm, browserPool...)
+ * @param {number} [options.maxPages] - Maximum number of pages to scrape (default: 10)
+ * @param {string} [options.nextSelector] - CSS selector of the "next" link or button (default: detect it)
+ * @param {boolean} [options.combine] - One document with page markers (true, default) or one per page
+ * @param {number} [options.delay] - Politeness delay between pages in ms (default: 1000)
+ * @param {boolean} [options.saveFiles] - Write <outputFilename>.md, or <outputFilename>/page-<n>.md per page
+ * @param {string} [options.outputFilename] - Output file or directory name for saved files (default: "pages")
+ * @param {Function} [options.onPage] - Called with each page result as soon as it is scraped
+ * @param {Function} [options.progressCallback] - Receives pagination and per-page scrape progress events
+ * @param {AbortSignal} [options.signal] - Stops following pages, the page being scraped is cancelled
+ * @returns {Promise<Object>} - { success, pages, markdown (combined, null with combine false), files, stoppedBecause: 'last-page' | 'max-pages' | 'repeated-page' | 'failed' | 'cancelled' }
+ */
+export async function paginate(startUrl, options = {}) {
+  const {
+    maxPages,
+    nextSelector,
+    combine,
+    delay,
+    saveFiles,
+    outputFilename,
+    onPage,
+    progressCallback,
+    ...scrapeOptions
+  } = withDefaults(DEFAULT_PAGINATION_OPTIONS, options);
+  const { signal } = scrapeOptions;
+
+  const pages = [];
+  const results = [];
+  const seen = new Set();
+  let url = startUrl;
+  let stoppedBecause = 'max-pages';
+
+  console.log(
+    `📑 Following pagination from ${startUrl} (max ${maxPages} pages, next: ${nextSelector || 'detected'})`
+  );
+
+  while (pages.length < maxPages) {
+    if (signal?.aborted) {
+      stoppedBecause = 'cancelled';
+      break;
+    }
+    if (pages.length > 0 && delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const index = pages.length + 1;
+    seen.add(url.split('#')[0]);
+    console.log(`📑 [${index}/${maxPages}] ${url}`);
+    if (progressCallback) {
+      progressCallback({ type: 'pagination_page_start', url, index });
+    }
+
+    // The last allowed page doesn't need its next page (nor a "Next" button clicked)
+    const result = await scrapeWithStreaming(url, {
+      ...scrapeOptions,
+      saveFiles: false,
+      nextPage: index < maxPages ? nextSelector || true : null,
+      progressCallback,
+    });
+    if (signal?.aborted) {
+      stoppedBecause = 'cancelled';
+      break;
+    }
+
+    const page = {
+      index,
+      url,
+      success: result.success,
+      markdown: result.markdown,
+      data: result.data,
+      dataValid: result.dataValid,
+      nextPage: result.nextPage?.url || null,
+      processingTime: result.processingTime,
+      error: result.success
+        ? null
+        : result.enhancedError?.userMessage || result.error || 'Scrape failed',
+    };
+    pages.push(page);
+    results.push(result);
+
+    if (onPage) {
+      await onPage(page);
+    }
+    if (progressCallback) {
+      progressCallback({
+        type: 'pagination_page_end',
+        url,
+        index,
+        success: page.success,
+        nextPage: page.nextPage,
+      });
+    }
+
+    if (!page.success) {
+      stoppedBecause = 'failed';
+      break;
+    }
+    if (index === maxPages) {
+      break;
+    }
+    if (!page.nextPage) {
+      stoppedBecause = 'last-page';
+      break;
+    }
+    if (seen.has(page.nextPage.split('#')[0])) {
+      console.log(`🔁 ${page.nextPage} was already scraped, stopping`);
+      stoppedBecause = 'repeated-page';
+      break;
+    }
+    url = page.nextPage;
+  }
+
+  // Repeated headers and footers are removed across the pages that worked
+  const scraped = pages.filter(page => page.success);
+  const cleaned = removeRepeatedBlocks(scraped.map(page => page.markdown));
+  scraped.forEach((page, i) => {
+    page.markdown = `${pageMarker(page.index, page.url)}\n\n${cleaned[i]}`;
+  });
+
+  const meta = {
+    url: startUrl,
+    mode: scrapeOptions.mode,
+    query: scrapeOptions.query,
+    frontMatter: scrapeOptions.frontMatter,
+  };
+  const firstResult = results[0];
+  const markdown =
+    combine && scraped.length > 0
+      ? formatResult(
+          {
+            markdown: scraped.map(page => page.markdown).join('\n\n---\n\n'),
+            scrapedAt: firstResult.scrapedAt,
+            metadata: firstResult.metadata,
+          },
+          'markdown',
+          meta
+        )
+      : null;
+
+  const files = [];
+  if (saveFiles && scraped.length > 0) {
+    if (combine) {
+      files.push(
+        await saveToFile(
+          markdown,
+          `${buildOutputName(outputFilename, scrapeOptions, meta)}.md`,
+          scrapeOptions
+        )
+      );
+    } else {
+      for (const page of scraped) {
+        const pageMeta = { ...meta, url: page.url };
+        page.file = await saveToFile(
+          formatResult(
+            { ...results[page.index - 1], markdown: page.markdown },
+            'markdown',
+            pageMeta
+          ),
+          `${outputFilename}/${buildOutputName(`page-${page.index}`, scrapeOptions, pageMeta)}.md`,
+          scrapeOptions
+        );
+        files.push(page.file);
+      }
+    }
+  }
+
+  console.log(
+    `✅ Pagination finished: ${scraped.length}/${pages.length} pages scraped (${stoppedBecause})`
+  );
+  if (progressCallback) {
+    progressCallback({
+      type: 'pagination_complete',
+      pagesScraped: scraped.length,
+      pagesFailed: pages.length - scraped.length,
+      stoppedBecause,
+    });
+  }
+
+  return {
+    success: scraped.length > 0,
+    pages,
+    markdown,
+    files,
+    stoppedBecause,
+  };
+}
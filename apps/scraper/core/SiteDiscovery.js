@@ -0,0 +1,343 @@
+import { gunzipSync } from 'zlib';
+import { decode } from 'html-entities';
+import { ROBOTS_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+} from '../utils/GlobalErrorHandler.js';
+
+// Parsed robots.txt per origin, shared by every scrape in the process
+const robotsCache = new Map();
+const ROBOTS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Fetch a text resource with a timeout
+ * @param {string} url - Resource URL
+ * @param {Object} options - Fetch options
+ * @param {string} options.userAgent - User-Agent header to send
+ * @returns {Promise<{status: number, body: string}>} - Status and decoded body
+ */
+async function fetchText(url, options = {}) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': options.userAgent || ROBOTS_OPTIONS.userAgent },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(ROBOTS_OPTIONS.fetchTimeout),
+  });
+
+  if (!response.ok) {
+    return { status: response.status, body: '' };
+  }
+
+  // Gzipped sitemaps (sitemap.xml.gz) are served as binary
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return {
+    status: response.status,
+    body: (isGzip ? gunzipSync(buffer) : buffer).toString('utf8'),
+  };
+}
+
+/**
+ * Parse robots.txt content
+ * @param {string} content - Raw robots.txt text
+ * @returns {Object} - { groups: [{ userAgents, rules, crawlDelay }], sitemaps }
+ */
+export function parseRobotsTxt(content) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  for (const rawLine of (content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasUserAgent) {
+        current = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      continue;
+    }
+
+    lastWasUserAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) {
+        sitemaps.push(value);
+      }
+    } else if (!current) {
+      continue; // Rules before any user-agent line are ignored
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the rules that apply to a user agent (most specific group wins, then "*")
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Our user agent
+ * @returns {{rules: Array<Object>, crawlDelay: number|null}} - Applicable rules
+ */
+export function getRobotsRules(robots, userAgent = ROBOTS_OPTIONS.userAgent) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  let bestMatch = null;
+  let bestLength = -1;
+
+  for (const group of robots.groups) {
+    for (const agent of group.userAgents) {
+      if (!agent) {
+        continue;
+      }
+      const length =
+        agent === '*' ? 0 : token.includes(agent) ? agent.length : -1;
+      if (length > bestLength) {
+        bestMatch = { agent, groups: [group] };
+        bestLength = length;
+      } else if (length === bestLength && bestMatch?.agent === agent) {
+        bestMatch.groups.push(group); // Groups for the same agent are merged
+      }
+    }
+  }
+
+  if (!bestMatch) {
+    return { rules: [], crawlDelay: null };
+  }
+
+  return {
+    rules: bestMatch.groups.flatMap(group => group.rules),
+    crawlDelay:
+      bestMatch.groups.find(group => group.crawlDelay !== null)?.crawlDelay ??
+      null,
+  };
+}
+
+/**
+ * Check a path against robots rules using longest-match semantics
+ * ("*" wildcards and "$" end anchors are supported, ties favour Allow)
+ * @param {Array<Object>} rules - Rules from getRobotsRules
+ * @param {string} path - URL path including the query string
+ * @returns {{allowed: boolean, rule: Object|null}} - Decision and the matching rule
+ */
+export function isPathAllowed(rules, path) {
+  let decision = null;
+
+  for (const rule of rules) {
+    const anchored = rule.path.endsWith('$');
+    const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(path)) {
+      continue;
+    }
+
+    const isLonger = !decision || rule.path.length > decision.path.length;
+    const winsTie =
+      decision && rule.path.length === decision.path.length && rule.allow;
+    if (isLonger || winsTie) {
+      decision = rule;
+    }
+  }
+
+  return { allowed: decision ? decision.allow : true, rule: decision };
+}
+
+/**
+ * Fetch and parse robots.txt for a URL's origin (cached per origin)
+ * Missing or unreachable robots.txt files allow everything.
+ * @param {string} url - Any URL on the site
+ * @param {Object} options - Options
+ * @param {string} options.userAgent - User agent for the request
+ * @returns {Promise<Object>} - Parsed robots.txt
+ */
+export async function fetchRobotsTxt(url, options = {}) {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_CACHE_TTL) {
+    return cached.robots;
+  }
+
+  let robots = { groups: [], sitemaps: [] };
+  try {
+    const { status, body } = await fetchText(`${origin}/robots.txt`, options);
+    if (status < 400) {
+      robots = parseRobotsTxt(body);
+    }
+  } catch (error) {
+    await handleError(error, {
+      operation: 'fetchRobotsTxt',
+      url: `${origin}/robots.txt`,
+    });
+  }
+
+  robotsCache.set(origin, { robots, fetchedAt: Date.now() });
+  return robots;
+}
+
+/**
+ * Check whether a URL may be scraped according to the site's robots.txt
+ * @param {string} url - URL to check
+ * @param {Object} options - Options
+ * @param {string} options.userAgent - User agent to match robots.txt groups against
+ * @returns {Promise<{allowed: boolean, crawlDelay: number|null, rule: Object|null}>} - Decision
+ */
+export async function checkRobotsAllowed(url, options = {}) {
+  const userAgent = options.userAgent || ROBOTS_OPTIONS.userAgent;
+  const robots = await fetchRobotsTxt(url, { userAgent });
+  const { rules, crawlDelay } = getRobotsRules(robots, userAgent);
+  const { pathname, search } = new URL(url);
+  const { allowed, rule } = isPathAllowed(rules, `${pathname}${search}`);
+
+  return { allowed, crawlDelay, rule };
+}
+
+/**
+ * Throw a ROBOTS_BLOCKED error if robots.txt disallows the URL
+ * @param {string} url - URL to check
+ * @param {Object} options - Options
+ * @param {string} options.userAgent - User agent to match robots.txt groups against
+ * @returns {Promise<Object>} - The robots decision when allowed
+ */
+export async function assertRobotsAllowed(url, options = {}) {
+  const decision = await checkRobotsAllowed(url, options);
+
+  if (!decision.allowed) {
+    const userAgent = options.userAgent || ROBOTS_OPTIONS.userAgent;
+    throw createError(
+      `robots.txt disallows ${url} for user agent "${userAgent}" (rule: Disallow: ${decision.rule.path})`,
+      {
+        category: ERROR_CATEGORIES.ROBOTS_BLOCKED,
+        shouldRetry: false,
+        userMessage: `Blocked by robots.txt (Disallow: ${decision.rule.path})`,
+        context: { url, userAgent, rule: decision.rule },
+      }
+    );
+  }
+
+  return decision;
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {{urls: Array<{url: string, lastmod: string|null}>, sitemaps: Array<string>}} - Page URLs and child sitemaps
+ */
+export function parseSitemap(xml) {
+  const readEntries = tag =>
+    [
+      ...(xml || '').matchAll(
+        new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'gi')
+      ),
+    ].map(match => {
+      const loc = /<loc>\s*([\s\S]*?)\s*<\/loc>/i.exec(match[1]);
+      const lastmod = /<lastmod>\s*([\s\S]*?)\s*<\/lastmod>/i.exec(match[1]);
+      return {
+        url: loc ? decode(loc[1].replace(/^<!\[CDATA\[|\]\]>$/g, '')) : '',
+        lastmod: lastmod ? lastmod[1] : null,
+      };
+    });
+
+  return {
+    urls: readEntries('url').filter(entry => entry.url),
+    sitemaps: readEntries('sitemap')
+      .map(entry => entry.url)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Find sitemap URLs for a site (robots.txt Sitemap directives, else /sitemap.xml)
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - Options
+ * @param {string} options.userAgent - User agent for requests
+ * @returns {Promise<Array<string>>} - Sitemap URLs
+ */
+export async function discoverSitemaps(siteUrl, options = {}) {
+  const robots = await fetchRobotsTxt(siteUrl, options);
+  if (robots.sitemaps.length > 0) {
+    return robots.sitemaps;
+  }
+  return [`${new URL(siteUrl).origin}/sitemap.xml`];
+}
+
+/**
+ * Collect page URLs from a sitemap, following sitemap index files
+ * @param {string} sitemapUrl - Sitemap (or sitemap index) URL
+ * @param {Object} options - Options
+ * @param {number} options.maxUrls - Stop after this many page URLs (default: 50000)
+ * @param {number} options.maxSitemaps - Stop after fetching this many sitemap files (default: 50)
+ * @param {string} options.userAgent - User agent for requests
+ * @returns {Promise<Array<{url: string, lastmod: string|null}>>} - Page URLs in sitemap order
+ */
+export async function fetchSitemapUrls(sitemapUrl, options = {}) {
+  const { maxUrls = 50000, maxSitemaps = 50 } = options;
+  const pending = [sitemapUrl];
+  const visited = new Set();
+  const urls = [];
+  const seenUrls = new Set();
+
+  while (
+    pending.length > 0 &&
+    visited.size < maxSitemaps &&
+    urls.length < maxUrls
+  ) {
+    const current = pending.shift();
+    if (visited.has(current)) {
+      continue;
+    }
+    visited.add(current);
+
+    try {
+      const { status, body } = await fetchText(current, options);
+      if (status >= 400) {
+        console.warn(`⚠️ Sitemap ${current} returned HTTP ${status}`);
+        continue;
+      }
+
+      const parsed = parseSitemap(body);
+      pending.push(...parsed.sitemaps);
+      for (const entry of parsed.urls) {
+        if (urls.length >= maxUrls) {
+          break;
+        }
+        if (!seenUrls.has(entry.url)) {
+          seenUrls.add(entry.url);
+          urls.push(entry);
+        }
+      }
+    } catch (error) {
+      await handleError(error, {
+        operation: 'fetchSitemapUrls',
+        url: current,
+      });
+    }
+  }
+
+  console.log(
+    `🗺️ Found ${urls.length} URLs in ${visited.size} sitemap file(s)`
+  );
+  return urls;
+}
@@ -0,0 +1,219 @@
+import dotenv from 'dotenv';
+import { generateObject, jsonSchema, zodSchema } from 'ai';
+import Ajv from 'ajv';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { LLM_MODEL_CONFIG } from '../config.js';
+import { generateStructuredExtractionPrompt } from '../utils/AIPrompts.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+  throwIfCancelled,
+} from '../utils/GlobalErrorHandler.js';
+import { fitToContext, getLanguageModel } from '../utils/LLMProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({
+  path: join(__dirname, '../../../.env'),
+  quiet: true,
+});
+
+/**
+ * Prepare a user-supplied schema for extraction
+ * Accepts a zod schema (library use) or a JSON Schema object (CLI, server, MCP).
+ * @param {Object} schema - zod schema or JSON Schema
+ * @returns {{jsonSchema: Object, validate: Function}} - JSON Schema sent to the model and a validator returning { success, value, errors }
+ */
+export function createExtractionSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    throw createError('Extraction schema must be a JSON Schema object', {
+      category: ERROR_CATEGORIES.VALIDATION,
+      shouldRetry: false,
+      userMessage: 'The extraction schema must be a JSON Schema object.',
+    });
+  }
+
+  // zod schemas validate themselves and are converted for the model
+  if (typeof schema.safeParse === 'function') {
+    return {
+      jsonSchema: zodSchema(schema).jsonSchema,
+      validate: value => {
+        const result = schema.safeParse(value);
+        return result.success
+          ? { success: true, value: result.data, errors: [] }
+          : {
+              success: false,
+              value,
+              errors: result.error.issues.map(
+                issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`
+              ),
+            };
+      },
+    };
+  }
+
+  // A fresh Ajv instance per schema, so schemas reusing the same $id don't collide
+  let validator;
+  try {
+    validator = new Ajv({ allErrors: true, strict: false }).compile(schema);
+  } catch (error) {
+    throw createError(`Invalid extraction schema: ${error.message}`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      shouldRetry: false,
+      userMessage: `Invalid JSON Schema: ${error.message}`,
+    });
+  }
+
+  return {
+    jsonSchema: schema,
+    validate: value =>
+      validator(value)
+        ? { success: true, value, errors: [] }
+        : {
+            success: false,
+            value,
+            errors: validator.errors.map(
+              error => `${error.instancePath || '(root)'} ${error.message}`
+            ),
+          },
+  };
+}
+
+/**
+ * Extract structured data from page content with AI, validating the result
+ * against the schema and retrying with the validation errors as feedback
+ * @param {string} content - Page content (markdown) to extract from
+ * @param {Object} schema - zod schema, JSON Schema, or the result of createExtractionSchema
+ * @param {string} instruction - Optional instruction describing what to extract
+ * @param {Function} progressCallback - Optional progress callback for streaming updates
+ * @param {Object} llmConfig - Optional per-call LLM config ({ provider, modelName, apiKey, baseURL })
+ * @param {number} maxAttempts - Model calls before giving up on validation (default: 2)
+ * @param {AbortSignal} signal - Optional signal aborting the AI calls (throws a cancelled error)
+ * @returns {Promise<{data: Object|null, valid: boolean, errors: Array<string>, attempts: number}>} - Extracted data and validation outcome
+ */
+export async function extractStructuredData(
+  content,
+  schema,
+  instruction = '',
+  progressCallback = null,
+  llmConfig = LLM_MODEL_CONFIG,
+  maxAttempts = 2,
+  signal = null
+) {
+  // Helper function to log with streaming support
+  const logWithStreaming = (message, level = 'info') => {
+    console.log(
+      `${level === 'error' ? '❌' : level === 'warn' ? '⚠️' : '🤖'} ${message}`
+    );
+    if (progressCallback) {
+      progressCallback({
+        type: 'log',
+        level,
+        message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+
+  const extraction =
+    typeof schema?.validate === 'function' && schema.jsonSchema
+      ? schema
+      : createExtractionSchema(schema);
+
+  if (!content || !content.trim()) {
+    return {
+      data: null,
+      valid: false,
+      errors: ['No page content to extract from'],
+      attempts: 0,
+    };
+  }
+
+  const { model, modelName, capabilities, providerOptions } = getLanguageModel(
+    llmConfig,
+    { thinkingBudget: 1024 }
+  );
+  const pageContent = fitToContext(content, capabilities);
+
+  let data = null;
+  let errors = [];
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    throwIfCancelled(signal);
+    attempts++;
+    logWithStreaming(
+      `Extracting structured data with AI (attempt ${attempts}/${maxAttempts})`
+    );
+
+    try {
+      // The model only gets the JSON Schema, validation happens below so the
+      // errors can be fed back into the next attempt
+      const { object } = await generateObject({
+        model,
+        schema: jsonSchema(extraction.jsonSchema),
+        prompt: generateStructuredExtractionPrompt(
+          instruction,
+          pageContent,
+          errors,
+          // Models without native structured output only see the schema in the prompt
+          capabilities.structuredOutput ? null : extraction.jsonSchema
+        ),
+        temperature: 0.2,
+        providerOptions,
+        abortSignal: signal || undefined,
+      });
+
+      const result = extraction.validate(object);
+      data = result.value;
+      errors = result.errors;
+
+      if (result.success) {
+        logWithStreaming('Structured data extracted and validated');
+        return { data, valid: true, errors: [], attempts };
+      }
+
+      logWithStreaming(
+        `Extracted data failed schema validation: ${errors.join('; ')}`,
+        'warn'
+      );
+    } catch (error) {
+      throwIfCancelled(signal);
+      if (
+        error.name === 'AI_NoObjectGeneratedError' ||
+        error.name === 'NoObjectGeneratedError'
+      ) {
+        // Unparseable output is retried like a validation failure
+        errors = [`Response was not valid JSON: ${error.message}`];
+        logWithStreaming('AI returned output that is not valid JSON', 'warn');
+        continue;
+      }
+
+      logWithStreaming(
+        `Structured extraction failed: ${error.message}`,
+        'error'
+      );
+      const handledError = await handleError(error, {
+        operation: 'extractStructuredData',
+        contentLength: content.length,
+        modelUsed: modelName,
+        attempt: attempts,
+      });
+      return {
+        data: null,
+        valid: false,
+        errors: [handledError.userMessage],
+        attempts,
+      };
+    }
+  }
+
+  logWithStreaming(
+    `Structured data still invalid after ${attempts} attempts`,
+    'error'
+  );
+  return { data, valid: false, errors, attempts };
+}
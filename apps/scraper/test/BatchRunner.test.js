@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'bun:test';
+import { parseBatchInput } from '../core/BatchRunner.js';
+
+describe('parseBatchInput', () => {
+  test('reads one URL per line, skipping blank lines and comments', () => {
+    const items = parseBatchInput(
+      '# pages to scrape\nhttps://example.com/a\n\n  https://example.com/b  \r\n'
+    );
+
+    expect(items).toEqual([
+      { url: 'https://example.com/a', query: undefined, mode: undefined },
+      { url: 'https://example.com/b', query: undefined, mode: undefined },
+    ]);
+  });
+
+  test('reads CSV rows as url, query, mode without a header', () => {
+    const items = parseBatchInput(
+      'https://example.com/a,"Prices, plans and ""extras""",BEAST\nhttps://example.com/b',
+      'csv'
+    );
+
+    expect(items).toEqual([
+      {
+        url: 'https://example.com/a',
+        query: 'Prices, plans and "extras"',
+        mode: 'beast',
+      },
+      { url: 'https://example.com/b', query: undefined, mode: undefined },
+    ]);
+  });
+
+  test('reads CSV columns by their header names', () => {
+    const items = parseBatchInput(
+      'mode,URL,notes\nnormal,https://example.com/a,ignored',
+      'csv'
+    );
+
+    expect(items).toEqual([
+      { url: 'https://example.com/a', query: undefined, mode: 'normal' },
+    ]);
+  });
+
+  test('reads JSONL objects', () => {
+    const items = parseBatchInput(
+      '{"url":"https://example.com/a","query":"pricing"}\n{"url":"https://example.com/b","mode":"normal"}',
+      'jsonl'
+    );
+
+    expect(items).toEqual([
+      { url: 'https://example.com/a', query: 'pricing', mode: undefined },
+      { url: 'https://example.com/b', query: undefined, mode: 'normal' },
+    ]);
+  });
+
+  test('reports the line of invalid rows', () => {
+    expect(() => parseBatchInput('https://example.com\n\nnot a url')).toThrow(
+      'Line 3: invalid URL "not a url"'
+    );
+    expect(() => parseBatchInput('https://example.com,,fast', 'csv')).toThrow(
+      'Line 1: invalid mode "fast"'
+    );
+    expect(() => parseBatchInput('{"url":', 'jsonl')).toThrow(
+      'Line 1: invalid JSON'
+    );
+  });
+
+  test('returns no items for an empty file', () => {
+    expect(parseBatchInput('\n# nothing yet\n', 'csv')).toEqual([]);
+  });
+});
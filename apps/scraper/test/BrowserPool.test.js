@@ -0,0 +1,96 @@
+import { describe, expect, test } from 'bun:test';
+import { BrowserPool } from '../browser-ops/BrowserPool.js';
+import { closeBrowserSession } from '../browser-ops/BrowserManager.js';
+import { ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+
+/**
+ * Fake Playwright browser, enough for fingerprint-injected contexts
+ * @returns {Object} - Browser stub
+ */
+function createFakeBrowser() {
+  return {
+    newContext: async () => ({
+      browser: () => null,
+      setExtraHTTPHeaders: async () => {},
+      addInitScript: async () => {},
+      on: () => {},
+      newPage: async () => ({}),
+      close: async () => {},
+    }),
+    close: async () => {},
+  };
+}
+
+/**
+ * Pool holding one already launched fake browser
+ * @param {number} concurrency - Maximum jobs running at once
+ * @returns {BrowserPool} - Pool that never launches a real browser
+ */
+function createFakePool(concurrency) {
+  const pool = new BrowserPool({ size: 1, concurrency });
+  pool.entries.push({
+    browser: createFakeBrowser(),
+    pagesServed: 0,
+    activeSessions: 0,
+    retiring: false,
+  });
+  return pool;
+}
+
+describe('BrowserPool', () => {
+  test('queues jobs beyond the concurrency limit', async () => {
+    const pool = createFakePool(1);
+    const first = await pool.acquire();
+    const second = pool.acquire();
+
+    expect(pool.getStats()).toMatchObject({ activeJobs: 1, queuedJobs: 1 });
+
+    await closeBrowserSession(first);
+    await closeBrowserSession(await second);
+
+    expect(pool.getStats()).toMatchObject({
+      activeJobs: 0,
+      queuedJobs: 0,
+      jobsServed: 2,
+    });
+  });
+
+  test('hands a freed slot to the queued job, not to a later acquire', async () => {
+    const pool = createFakePool(1);
+    const first = await pool.acquire();
+    const second = pool.acquire();
+
+    // Acquire again right after the queued job is woken, before it resumes
+    let third = null;
+    const wakeSecond = pool.waitQueue[0];
+    pool.waitQueue[0] = () => {
+      wakeSecond();
+      third = pool.acquire();
+    };
+    await closeBrowserSession(first);
+    const secondSession = await second;
+
+    expect(pool.activeJobs).toBeLessThanOrEqual(pool.concurrency);
+    expect(pool.getStats()).toMatchObject({ activeJobs: 1, queuedJobs: 1 });
+
+    await closeBrowserSession(secondSession);
+    await closeBrowserSession(await third);
+
+    expect(pool.getStats()).toMatchObject({ activeJobs: 0, queuedJobs: 0 });
+  });
+
+  test('leaves the queue without a slot when a waiting job is cancelled', async () => {
+    const pool = createFakePool(1);
+    const first = await pool.acquire();
+    const controller = new AbortController();
+    const waiting = pool.acquire({ signal: controller.signal });
+
+    controller.abort();
+    await expect(waiting).rejects.toMatchObject({
+      category: ERROR_CATEGORIES.CANCELLED,
+    });
+    await closeBrowserSession(first);
+
+    expect(pool.getStats()).toMatchObject({ activeJobs: 0, queuedJobs: 0 });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  chunkHTML,
+  chunkMarkdown,
+  mergeMarkdownChunks,
+} from '../core/ContentChunker.js';
+
+const paragraph = index =>
+  `Paragraph ${index} ${'lorem ipsum dolor sit amet '.repeat(3)}`.trim();
+
+describe('chunkMarkdown', () => {
+  test('keeps content that fits in a single chunk', () => {
+    expect(chunkMarkdown('# Title\n\nShort page', 100)).toEqual([
+      '# Title\n\nShort page',
+    ]);
+    expect(chunkMarkdown('', 100)).toEqual(['']);
+  });
+
+  test('splits between blocks without losing content', () => {
+    const blocks = Array.from({ length: 10 }, (_, i) => paragraph(i));
+    const markdown = blocks.join('\n\n');
+    const chunks = chunkMarkdown(markdown, 250);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(250));
+    expect(chunks.join('\n\n')).toBe(markdown);
+  });
+
+  test('never splits a fenced code block that fits in a chunk', () => {
+    const code = '```js\nconst a = 1;\n\nconst b = 2;\n```';
+    const markdown = [paragraph(1), paragraph(2), code, paragraph(3)].join(
+      '\n\n'
+    );
+    const chunks = chunkMarkdown(markdown, 120);
+
+    expect(chunks.some(chunk => chunk.includes(code))).toBe(true);
+  });
+
+  test('starts a new chunk at a heading once the current one is half full', () => {
+    const markdown = [
+      paragraph(1),
+      paragraph(2),
+      '## Next section',
+      'Text',
+    ].join('\n\n');
+    const chunks = chunkMarkdown(markdown, 200);
+
+    expect(chunks[1].startsWith('## Next section')).toBe(true);
+  });
+
+  test('splits a single oversized line by length', () => {
+    const chunks = chunkMarkdown('x'.repeat(250), 100);
+
+    expect(chunks.map(chunk => chunk.length)).toEqual([100, 100, 50]);
+  });
+});
+
+describe('chunkHTML', () => {
+  test('keeps content that fits in a single chunk', () => {
+    expect(chunkHTML('<p>Hello</p>', 100)).toEqual(['<p>Hello</p>']);
+  });
+
+  test('splits large elements between children and keeps their wrappers', () => {
+    const rows = Array.from(
+      { length: 20 },
+      (_, i) => `<tr><td>Row ${i}</td><td>${'value '.repeat(5)}</td></tr>`
+    ).join('');
+    const chunks = chunkHTML(`<table><tbody>${rows}</tbody></table>`, 400);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(400);
+      expect(chunk.startsWith('<body><table><tbody><tr>')).toBe(true);
+      expect(chunk.endsWith('</tr></tbody></table></body>')).toBe(true);
+    }
+    for (let i = 0; i < 20; i++) {
+      expect(chunks.filter(chunk => chunk.includes(`Row ${i}<`))).toHaveLength(
+        1
+      );
+    }
+  });
+});
+
+describe('mergeMarkdownChunks', () => {
+  test('drops repeated blocks and "no content found" answers', () => {
+    const shared = 'A block long enough to be recognized when repeated.';
+
+    expect(
+      mergeMarkdownChunks([
+        `# Intro\n\n${shared}`,
+        'No content found related to the query',
+        `${shared}\n\nMore`,
+      ])
+    ).toBe(`# Intro\n\n${shared}\n\nMore`);
+  });
+
+  test("keeps the model's answer when every chunk is empty", () => {
+    expect(
+      mergeMarkdownChunks(['', 'No content found related to pricing'])
+    ).toBe('No content found related to pricing');
+  });
+});
@@ -0,0 +1,101 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  renderFilenameTemplate,
+  resolveOutputPath,
+  sanitizeFilename,
+  saveToFile,
+} from '../utils/FileManager.js';
+
+const outputDir = await mkdtemp(path.join(tmpdir(), 'sniffhunt-files-'));
+
+afterAll(async () => {
+  await rm(outputDir, { recursive: true, force: true });
+});
+
+describe('sanitizeFilename', () => {
+  test('drops "." and ".." segments and normalizes separators', () => {
+    expect(sanitizeFilename('../../etc/passwd')).toBe('etc/passwd');
+    expect(sanitizeFilename('docs\\..\\guide/./intro.md')).toBe(
+      'docs/guide/intro.md'
+    );
+    expect(sanitizeFilename('/absolute//path.md')).toBe('absolute/path.md');
+  });
+
+  test('replaces characters invalid on common filesystems', () => {
+    expect(sanitizeFilename('what?<is>:"this"|*.md')).toBe(
+      'what--is---this---.md'
+    );
+    expect(sanitizeFilename('tab\there\u0000.md')).toBe('tab-here-.md');
+  });
+});
+
+describe('resolveOutputPath', () => {
+  test('keeps files inside the output directory', () => {
+    expect(resolveOutputPath('docs/page.md', outputDir)).toBe(
+      path.join(outputDir, 'docs/page.md')
+    );
+    expect(resolveOutputPath('../../outside.md', outputDir)).toBe(
+      path.join(outputDir, 'outside.md')
+    );
+    expect(resolveOutputPath('/etc/passwd', outputDir)).toBe(
+      path.join(outputDir, 'etc/passwd')
+    );
+  });
+
+  test('refuses names that resolve to the output directory itself', () => {
+    for (const filename of ['', '.', '..', '../..', '/']) {
+      expect(() => resolveOutputPath(filename, outputDir)).toThrow(
+        'Refusing to write'
+      );
+    }
+  });
+});
+
+describe('renderFilenameTemplate', () => {
+  test('fills URL, query and date placeholders and drops the extension', () => {
+    expect(
+      renderFilenameTemplate('{host}/{path-slug}-{query-slug}-{date}.md', {
+        url: 'https://example.com/blog/Hello%20World?page=2',
+        query: 'Pricing & plans',
+        date: new Date('2024-05-06T07:08:09Z'),
+      })
+    ).toBe('example.com/blog-hello-world-page-2-pricing-plans-2024-05-06');
+  });
+
+  test('keeps unknown placeholders as they are', () => {
+    expect(renderFilenameTemplate('{name}-{unknown}', { name: 'page' })).toBe(
+      'page-{unknown}'
+    );
+  });
+});
+
+describe('saveToFile', () => {
+  test('writes inside the output directory, even for ".." names', async () => {
+    const saved = await saveToFile('content', '../escape.md', { outputDir });
+
+    expect(saved).toBe('escape.md');
+    expect(await readFile(path.join(outputDir, 'escape.md'), 'utf8')).toBe(
+      'content'
+    );
+  });
+
+  test('skips or versions existing files as asked', async () => {
+    await saveToFile('first', 'page.raw.md', { outputDir });
+
+    expect(
+      await saveToFile('second', 'page.raw.md', { outputDir, ifExists: 'skip' })
+    ).toBeNull();
+    expect(
+      await saveToFile('third', 'page.raw.md', {
+        outputDir,
+        ifExists: 'version',
+      })
+    ).toBe('page-1.raw.md');
+    expect(await readFile(path.join(outputDir, 'page.raw.md'), 'utf8')).toBe(
+      'first'
+    );
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  describeAction,
+  resolvePageActions,
+  runPageActions,
+} from '../browser-ops/PageActions.js';
+import { ACTION_OPTIONS } from '../config.js';
+import { ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+
+/**
+ * Fake Playwright page recording the calls made on it
+ * @param {Object} failures - Selectors whose clicks throw the given error
+ * @returns {Object} - Page with a `calls` log
+ */
+function createFakePage(failures = {}) {
+  const calls = [];
+  return {
+    calls,
+    locator: selector => ({
+      first: () => ({
+        click: async () => {
+          calls.push(`click ${selector}`);
+          if (failures[selector]) {
+            throw failures[selector];
+          }
+        },
+        fill: async value => calls.push(`fill ${selector} "${value}"`),
+        pressSequentially: async text => calls.push(`type ${selector} ${text}`),
+      }),
+    }),
+    keyboard: { press: async key => calls.push(`press ${key}`) },
+    evaluate: async script => (script === 'big' ? 'x'.repeat(5000) : 42),
+    waitForTimeout: async () => {},
+  };
+}
+
+describe('resolvePageActions', () => {
+  test('accepts valid actions and parses wait conditions', () => {
+    const actions = resolvePageActions([
+      { action: 'click', selector: '#accept', optional: true },
+      { action: 'type', selector: '#q', text: 'laptops', clear: false },
+      { action: 'wait', for: 'text:Results' },
+      { action: 'wait', for: 500 },
+      { action: 'scroll', to: 'bottom' },
+    ]);
+
+    expect(actions[2].for).toEqual({ type: 'text', value: 'Results' });
+    expect(actions[3].for).toEqual({ type: 'delay', value: 500 });
+    expect(resolvePageActions(null)).toEqual([]);
+  });
+
+  test('names the invalid action in validation errors', () => {
+    for (const [actions, message] of [
+      [{ action: 'click' }, 'actions must be an array'],
+      [[{ action: 'tap', selector: '#a' }], 'Invalid action 1 (action must'],
+      [[{ action: 'hover' }], 'Invalid action 1 (hover needs selector)'],
+      [
+        [
+          { action: 'press', key: 'Enter' },
+          { action: 'type', selector: '#q' },
+        ],
+        'Invalid action 2 (type needs text)',
+      ],
+      [
+        [{ action: 'click', selector: '#a', force: true }],
+        'unknown click fields: force',
+      ],
+      [[{ action: 'scroll', to: 'middle' }], 'top or bottom'],
+      [[{ action: 'hover', selector: '#a', timeout: -5 }], 'timeout must be'],
+      [[{ action: 'wait', for: { delay: 'x' } }], 'delay must be'],
+    ]) {
+      let error;
+      try {
+        resolvePageActions(actions);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error?.category).toBe(ERROR_CATEGORIES.VALIDATION);
+      expect(error.userMessage).toContain(message);
+    }
+  });
+});
+
+describe('describeAction', () => {
+  test('describes steps for logs, preferring their own description', () => {
+    const [press, scroll, wait, named] = resolvePageActions([
+      { action: 'press', key: 'Enter', selector: '#q' },
+      { action: 'scroll', by: 600 },
+      { action: 'wait', for: '.results' },
+      { action: 'click', selector: '#b', description: 'Accept cookies' },
+    ]);
+
+    expect(describeAction(press)).toBe('press Enter in "#q"');
+    expect(describeAction(scroll)).toBe('scroll by 600px');
+    expect(describeAction(wait)).toBe(
+      'wait for selector ".results" to be visible'
+    );
+    expect(describeAction(named)).toBe('Accept cookies');
+  });
+});
+
+describe('runPageActions', () => {
+  test('runs steps in order and reports each one', async () => {
+    const page = createFakePage();
+    const events = [];
+    const results = await runPageActions(
+      page,
+      resolvePageActions([
+        { action: 'type', selector: '#q', text: 'laptops' },
+        { action: 'press', key: 'Enter' },
+        { action: 'evaluate', script: 'count' },
+        { action: 'evaluate', script: 'big' },
+      ]),
+      { progressCallback: event => events.push(event) }
+    );
+
+    expect(page.calls).toEqual([
+      'fill #q ""',
+      'type #q laptops',
+      'press Enter',
+    ]);
+    expect(results.map(result => result.success)).toEqual([
+      true,
+      true,
+      true,
+      true,
+    ]);
+    expect(results[2].result).toBe(42);
+    expect(results[3].result).toHaveLength(ACTION_OPTIONS.maxResultLength + 3);
+    expect(events.map(event => event.type)).toEqual([
+      'action',
+      'action',
+      'action',
+      'action',
+    ]);
+  });
+
+  test('carries on after an optional step fails', async () => {
+    const page = createFakePage({ '#banner': new Error('not visible') });
+    const results = await runPageActions(
+      page,
+      resolvePageActions([
+        { action: 'click', selector: '#banner', optional: true },
+        { action: 'click', selector: '#next' },
+      ])
+    );
+
+    expect(results[0]).toMatchObject({ success: false });
+    expect(results[0].error).toContain('not visible');
+    expect(results[1]).toMatchObject({ success: true });
+  });
+
+  test('fails the attempt when a required step times out', async () => {
+    const timeout = new Error('locator.click: Timeout 10000ms exceeded');
+    timeout.name = 'TimeoutError';
+    const page = createFakePage({ '#missing': timeout });
+    const results = [];
+
+    await expect(
+      runPageActions(
+        page,
+        resolvePageActions([
+          { action: 'click', selector: '#missing', timeout: 10000 },
+          { action: 'click', selector: '#never' },
+        ]),
+        { results }
+      )
+    ).rejects.toMatchObject({
+      category: ERROR_CATEGORIES.TIMEOUT,
+      shouldRetry: true,
+    });
+    // Steps before the failure stay reported, later ones never ran
+    expect(results).toHaveLength(1);
+    expect(page.calls).toEqual(['click #missing']);
+  });
+});
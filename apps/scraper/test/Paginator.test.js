@@ -0,0 +1,179 @@
+import { describe, expect, mock, test } from 'bun:test';
+import * as WebScraper from '../WebScraper.js';
+import { findNextPage } from '../browser-ops/NextPageFinder.js';
+import { ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+
+// Scrape results by URL, served by the mocked scrapeWithStreaming below
+const site = new Map();
+const scrapeCalls = [];
+mock.module('../WebScraper.js', () => ({
+  ...WebScraper,
+  scrapeWithStreaming: async (url, options) => {
+    scrapeCalls.push({ url, nextPage: options.nextPage });
+    const page = site.get(url);
+    if (!page) {
+      return { success: false, error: `No page at ${url}` };
+    }
+    return {
+      success: true,
+      markdown: page.markdown,
+      nextPage: page.next ? { url: page.next, via: 'rel' } : null,
+      scrapedAt: '2026-01-01T00:00:00.000Z',
+      metadata: {},
+    };
+  },
+}));
+const { paginate, removeRepeatedBlocks } = await import('../core/Paginator.js');
+
+/**
+ * Serve a listing whose pages share a header and a footer
+ * @param {Array<[string, string|null]>} pages - [url, next url] of each page
+ */
+function serveListing(pages) {
+  site.clear();
+  scrapeCalls.length = 0;
+  pages.forEach(([url, next], i) => {
+    site.set(url, {
+      markdown: `# Shop\n\nItem ${i + 1}a\n\nItem ${i + 1}b\n\n© Shop`,
+      next,
+    });
+  });
+}
+
+describe('removeRepeatedBlocks', () => {
+  test('keeps the first header and the last footer only', () => {
+    const pages = removeRepeatedBlocks([
+      '# Shop\n\nItem 1\n\n© Shop',
+      '# Shop\n\nItem 2\n\n© Shop',
+      '#  Shop \n\nItem 3\n\n© Shop',
+    ]);
+
+    expect(pages).toEqual(['# Shop\n\nItem 1', 'Item 2', 'Item 3\n\n© Shop']);
+  });
+
+  test('keeps blocks repeated within a page or found on few pages', () => {
+    const pages = removeRepeatedBlocks([
+      'Add to cart\n\nItem 1\n\nAdd to cart',
+      'Add to cart\n\nItem 2\n\nAdd to cart',
+      'Sale\n\nItem 3',
+      'Item 4\n\nSale',
+      'Item 5',
+    ]);
+
+    expect(pages[1]).toBe('Add to cart\n\nItem 2\n\nAdd to cart');
+    expect(pages[2]).toBe('Sale\n\nItem 3');
+    expect(removeRepeatedBlocks(['Only page'])).toEqual(['Only page']);
+  });
+});
+
+describe('findNextPage', () => {
+  /**
+   * Fake page whose DOM lookup returns the given control
+   * @param {Object|Error|null} control - Control found, or the error thrown
+   * @param {boolean} closed - Whether the page reports being closed
+   * @returns {Object} - Page stub
+   */
+  const fakePage = (control, closed = false) => ({
+    evaluate: async () => {
+      if (control instanceof Error) {
+        throw control;
+      }
+      return control;
+    },
+    isClosed: () => closed,
+  });
+
+  test('returns the next link, or null on the last page', async () => {
+    const url = 'https://shop.test/list?page=1';
+
+    expect(
+      await findNextPage(
+        fakePage({ href: 'https://shop.test/list?page=2', via: 'rel' }),
+        url
+      )
+    ).toEqual({ url: 'https://shop.test/list?page=2', via: 'rel' });
+    expect(await findNextPage(fakePage(null), url)).toBeNull();
+    // A link back to the current page is not a next page
+    expect(
+      await findNextPage(fakePage({ href: `${url}#top`, via: 'label' }), url)
+    ).toBeNull();
+  });
+
+  test('fails instead of reporting the last page when the page closed', async () => {
+    const closedError = new Error(
+      'Target page, context or browser has been closed'
+    );
+
+    await expect(
+      findNextPage(fakePage(closedError, true), 'https://shop.test/list')
+    ).rejects.toMatchObject({ category: ERROR_CATEGORIES.BROWSER });
+  });
+});
+
+describe('paginate', () => {
+  test('follows next pages until the last one and combines them', async () => {
+    serveListing([
+      ['https://shop.test/1', 'https://shop.test/2'],
+      ['https://shop.test/2', 'https://shop.test/3'],
+      ['https://shop.test/3', null],
+    ]);
+
+    const result = await paginate('https://shop.test/1', { delay: 0 });
+
+    expect(result.success).toBe(true);
+    expect(result.stoppedBecause).toBe('last-page');
+    expect(result.pages.map(page => page.nextPage)).toEqual([
+      'https://shop.test/2',
+      'https://shop.test/3',
+      null,
+    ]);
+    expect(scrapeCalls.every(call => call.nextPage === true)).toBe(true);
+    expect(result.markdown).toContain(
+      '<!-- page 1: https://shop.test/1 -->\n\n# Shop\n\nItem 1a\n\nItem 1b\n\n---\n\n<!-- page 2: https://shop.test/2 -->\n\nItem 2a'
+    );
+    expect(result.markdown.match(/# Shop/g)).toHaveLength(1);
+    expect(result.markdown.match(/© Shop/g)).toHaveLength(1);
+  });
+
+  test('skips looking for a next page on the last allowed page', async () => {
+    serveListing([
+      ['https://shop.test/1', 'https://shop.test/2'],
+      ['https://shop.test/2', 'https://shop.test/3'],
+      ['https://shop.test/3', null],
+    ]);
+
+    const result = await paginate('https://shop.test/1', {
+      delay: 0,
+      maxPages: 2,
+      nextSelector: 'a.next',
+    });
+
+    expect(result.stoppedBecause).toBe('max-pages');
+    expect(scrapeCalls).toEqual([
+      { url: 'https://shop.test/1', nextPage: 'a.next' },
+      { url: 'https://shop.test/2', nextPage: null },
+    ]);
+  });
+
+  test('stops on a page already scraped or a failed page', async () => {
+    serveListing([
+      ['https://shop.test/1', 'https://shop.test/2'],
+      ['https://shop.test/2', 'https://shop.test/1#results'],
+    ]);
+    const looped = await paginate('https://shop.test/1', { delay: 0 });
+
+    expect(looped.stoppedBecause).toBe('repeated-page');
+    expect(looped.pages).toHaveLength(2);
+
+    serveListing([['https://shop.test/1', 'https://shop.test/missing']]);
+    const failed = await paginate('https://shop.test/1', { delay: 0 });
+
+    expect(failed.stoppedBecause).toBe('failed');
+    expect(failed.success).toBe(true);
+    expect(failed.pages[1]).toMatchObject({
+      success: false,
+      error: 'No page at https://shop.test/missing',
+    });
+    expect(failed.markdown).not.toContain('page 2:');
+  });
+});
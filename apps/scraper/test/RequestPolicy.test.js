@@ -0,0 +1,188 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  applyRequestPolicy,
+  createRequestStats,
+  resolveRequestPolicy,
+} from '../browser-ops/RequestPolicy.js';
+import { ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+import { patternToRegExp } from '../utils/UrlPattern.js';
+
+/**
+ * Run requests through a policy on a fake page, as Playwright's route would
+ * @param {Object} policy - Resolved policy
+ * @param {Array<Object>} requests - { url, type, navigation? }
+ * @returns {Promise<Object>} - { outcomes: 'blocked' | 'allowed' per request, stats }
+ */
+async function routeRequests(policy, requests) {
+  let handler;
+  const page = {
+    route: async (_pattern, routeHandler) => {
+      handler = routeHandler;
+    },
+  };
+  const stats = createRequestStats(policy);
+  await applyRequestPolicy(page, 'https://www.example.com/page', policy, stats);
+
+  const outcomes = requests.map(({ url, type, navigation = false }) => {
+    let outcome;
+    handler({
+      request: () => ({
+        url: () => url,
+        resourceType: () => type,
+        isNavigationRequest: () => navigation,
+        frame: () => ({ parentFrame: () => null }),
+      }),
+      abort: () => {
+        outcome = 'blocked';
+      },
+      continue: () => {
+        outcome = 'allowed';
+      },
+    });
+    return outcome;
+  });
+  return { outcomes, stats };
+}
+
+describe('patternToRegExp', () => {
+  test('matches globs against the full URL', () => {
+    const segment = patternToRegExp('https://example.com/*/page');
+    const anyDepth = patternToRegExp('https://example.com/**.js');
+
+    expect(segment.test('https://example.com/docs/page')).toBe(true);
+    expect(segment.test('https://example.com/docs/v2/page')).toBe(false);
+    expect(anyDepth.test('https://example.com/static/js/app.js')).toBe(true);
+    expect(anyDepth.test('https://example.com/app.json')).toBe(false);
+  });
+
+  test('escapes regex characters in globs', () => {
+    const pattern = patternToRegExp('https://example.com/a?b=(1)');
+
+    expect(pattern.test('https://example.com/a?b=(1)')).toBe(true);
+    expect(pattern.test('https://example.com/ab=1')).toBe(false);
+  });
+
+  test('reads /regex/ strings with their flags', () => {
+    const pattern = patternToRegExp('/\\/ADS\\//i');
+
+    expect(pattern.test('https://cdn.example.com/ads/banner.png')).toBe(true);
+  });
+});
+
+describe('resolveRequestPolicy', () => {
+  test('extends a preset with the given fields', () => {
+    const policy = resolveRequestPolicy({
+      preset: 'faithful',
+      urlPatterns: ['**/ads/**'],
+    });
+
+    expect(policy.name).toBe('faithful');
+    expect(policy.resourceTypes).toEqual([]);
+    expect(policy.urlPatterns[0].test('https://x.com/ads/a.js')).toBe(true);
+  });
+
+  test('lets the legacy blocked resource types replace the preset ones', () => {
+    expect(resolveRequestPolicy('minimal', ['font']).resourceTypes).toEqual([
+      'font',
+    ]);
+  });
+
+  test('rejects unknown presets, resource types and patterns', () => {
+    for (const [policy, blocked] of [
+      ['turbo', null],
+      [{ resourceTypes: ['images'] }, null],
+      [{ blockThirdParty: ['scripts'] }, null],
+      [{ urlPatterns: ['/(unclosed/'] }, null],
+      ['fast', ['pictures']],
+    ]) {
+      let error;
+      try {
+        resolveRequestPolicy(policy, blocked);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error?.category).toBe(ERROR_CATEGORIES.VALIDATION);
+    }
+  });
+});
+
+describe('applyRequestPolicy', () => {
+  test('blocks by resource type, URL pattern and tracker, counting reasons', async () => {
+    const policy = resolveRequestPolicy({
+      preset: 'fast',
+      urlPatterns: ['**/ads/**'],
+    });
+    const { outcomes, stats } = await routeRequests(policy, [
+      {
+        url: 'https://www.example.com/page',
+        type: 'document',
+        navigation: true,
+      },
+      { url: 'https://www.example.com/hero.mp4', type: 'media' },
+      { url: 'https://www.example.com/ads/slot.js', type: 'script' },
+      { url: 'https://www.google-analytics.com/g.js', type: 'script' },
+      { url: 'https://www.example.com/app.js', type: 'script' },
+      { url: 'data:image/png;base64,AAAA', type: 'fetch' },
+    ]);
+
+    expect(outcomes).toEqual([
+      'allowed',
+      'blocked',
+      'blocked',
+      'blocked',
+      'allowed',
+      'allowed',
+    ]);
+    expect(stats).toEqual({
+      policy: 'fast',
+      blocked: 3,
+      allowed: 3,
+      byReason: { resourceType: 1, urlPattern: 1, tracker: 1 },
+    });
+  });
+
+  test('never blocks the page itself or allowed URLs', async () => {
+    const policy = resolveRequestPolicy({
+      resourceTypes: ['document', 'script'],
+      allow: ['https://cdn.example.com/**'],
+    });
+    const { outcomes } = await routeRequests(policy, [
+      {
+        url: 'https://www.example.com/page',
+        type: 'document',
+        navigation: true,
+      },
+      { url: 'https://cdn.example.com/app.js', type: 'script' },
+      { url: 'https://www.example.com/app.js', type: 'script' },
+    ]);
+
+    expect(outcomes).toEqual(['allowed', 'allowed', 'blocked']);
+  });
+
+  test('tells first-party from third-party requests by site', async () => {
+    const policy = resolveRequestPolicy('minimal');
+    const { outcomes, stats } = await routeRequests(policy, [
+      { url: 'https://api.example.com/items', type: 'fetch' },
+      { url: 'https://widgets.other.net/embed.js', type: 'script' },
+      { url: 'https://blocked.example.org/x', type: 'xhr' },
+    ]);
+
+    expect(outcomes).toEqual(['allowed', 'blocked', 'blocked']);
+    expect(stats.byReason).toEqual({ thirdParty: 2 });
+  });
+
+  test('blocks third-party requests of the listed types only', async () => {
+    const policy = resolveRequestPolicy({
+      blockThirdParty: ['script'],
+      blockDomains: ['cdn.blocked.io'],
+    });
+    const { outcomes, stats } = await routeRequests(policy, [
+      { url: 'https://other.net/a.js', type: 'script' },
+      { url: 'https://other.net/a.png', type: 'image' },
+      { url: 'https://img.cdn.blocked.io/a.png', type: 'image' },
+    ]);
+
+    expect(outcomes).toEqual(['blocked', 'allowed', 'blocked']);
+    expect(stats.byReason).toEqual({ thirdParty: 1, domain: 1 });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  getRobotsRules,
+  isPathAllowed,
+  parseRobotsTxt,
+  parseSitemap,
+} from '../core/SiteDiscovery.js';
+
+const ROBOTS_TXT = `
+# Comments and blank lines are ignored
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: SniffHuntScraper
+User-agent: OtherBot
+Disallow: /no-sniffhunt/
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('parseRobotsTxt', () => {
+  test('groups consecutive user agents and collects sitemaps', () => {
+    const robots = parseRobotsTxt(ROBOTS_TXT);
+
+    expect(robots.groups).toHaveLength(2);
+    expect(robots.groups[0].crawlDelay).toBe(2);
+    expect(robots.groups[1].userAgents).toEqual([
+      'sniffhuntscraper',
+      'otherbot',
+    ]);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  test('ignores rules before any user agent and empty disallows', () => {
+    const robots = parseRobotsTxt('Disallow: /\nUser-agent: *\nDisallow:\n');
+
+    expect(robots.groups).toHaveLength(1);
+    expect(robots.groups[0].rules).toEqual([]);
+  });
+});
+
+describe('getRobotsRules', () => {
+  test('prefers the group naming our user agent over "*"', () => {
+    const { rules, crawlDelay } = getRobotsRules(
+      parseRobotsTxt(ROBOTS_TXT),
+      'SniffHuntScraper/1.0'
+    );
+
+    expect(rules).toEqual([{ allow: false, path: '/no-sniffhunt/' }]);
+    expect(crawlDelay).toBeNull();
+  });
+
+  test('falls back to "*" for other user agents', () => {
+    const { rules, crawlDelay } = getRobotsRules(
+      parseRobotsTxt(ROBOTS_TXT),
+      'SomeCrawler'
+    );
+
+    expect(rules).toHaveLength(3);
+    expect(crawlDelay).toBe(2);
+  });
+});
+
+describe('isPathAllowed', () => {
+  const { rules } = getRobotsRules(parseRobotsTxt(ROBOTS_TXT), 'SomeCrawler');
+
+  test('allows paths no rule matches', () => {
+    expect(isPathAllowed(rules, '/docs/intro')).toEqual({
+      allowed: true,
+      rule: null,
+    });
+  });
+
+  test('uses the longest matching rule', () => {
+    expect(isPathAllowed(rules, '/private/secret').allowed).toBe(false);
+    expect(isPathAllowed(rules, '/private/public-page').allowed).toBe(true);
+  });
+
+  test('supports "*" wildcards and "$" anchors', () => {
+    expect(isPathAllowed(rules, '/files/report.pdf').allowed).toBe(false);
+    expect(isPathAllowed(rules, '/files/report.pdf?download=1').allowed).toBe(
+      true
+    );
+  });
+
+  test('favours Allow when rules tie', () => {
+    const tied = [
+      { allow: false, path: '/page' },
+      { allow: true, path: '/page' },
+    ];
+
+    expect(isPathAllowed(tied, '/page').allowed).toBe(true);
+  });
+});
+
+describe('parseSitemap', () => {
+  test('reads page URLs with their last modification date', () => {
+    const { urls, sitemaps } = parseSitemap(`<?xml version="1.0"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://example.com/a?x=1&amp;y=2</loc><lastmod>2024-01-02</lastmod></url>
+        <url><loc><![CDATA[https://example.com/b]]></loc></url>
+        <url><lastmod>2024-01-03</lastmod></url>
+      </urlset>`);
+
+    expect(urls).toEqual([
+      { url: 'https://example.com/a?x=1&y=2', lastmod: '2024-01-02' },
+      { url: 'https://example.com/b', lastmod: null },
+    ]);
+    expect(sitemaps).toEqual([]);
+  });
+
+  test('reads the child sitemaps of a sitemap index', () => {
+    const { urls, sitemaps } = parseSitemap(`<sitemapindex>
+        <sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>
+        <sitemap><loc>https://example.com/sitemap-2.xml</loc></sitemap>
+      </sitemapindex>`);
+
+    expect(urls).toEqual([]);
+    expect(sitemaps).toEqual([
+      'https://example.com/sitemap-1.xml',
+      'https://example.com/sitemap-2.xml',
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  describeWaitCondition,
+  parseWaitCondition,
+  resolveWaitConditions,
+  waitForConditions,
+} from '../browser-ops/WaitConditions.js';
+import { WAIT_OPTIONS } from '../config.js';
+import { ERROR_CATEGORIES } from '../utils/GlobalErrorHandler.js';
+
+describe('parseWaitCondition', () => {
+  test('reads the string forms', () => {
+    expect(parseWaitCondition('.price')).toEqual({
+      type: 'selector',
+      value: '.price',
+      state: 'visible',
+    });
+    expect(parseWaitCondition('hidden: .spinner')).toEqual({
+      type: 'selector',
+      value: '.spinner',
+      state: 'hidden',
+    });
+    expect(parseWaitCondition('text:In stock')).toEqual({
+      type: 'text',
+      value: 'In stock',
+    });
+    expect(parseWaitCondition('js:window.ready === true')).toEqual({
+      type: 'function',
+      value: 'window.ready === true',
+    });
+    expect(parseWaitCondition('1500')).toEqual({ type: 'delay', value: 1500 });
+    expect(parseWaitCondition('idle')).toEqual({
+      type: 'idle',
+      value: WAIT_OPTIONS.idleMs,
+    });
+    expect(parseWaitCondition('idle:800')).toEqual({
+      type: 'idle',
+      value: 800,
+    });
+  });
+
+  test('keeps selectors that merely contain a colon', () => {
+    expect(parseWaitCondition('li:first-child')).toEqual({
+      type: 'selector',
+      value: 'li:first-child',
+      state: 'visible',
+    });
+  });
+
+  test('reads the object form with its own timeout', () => {
+    expect(
+      parseWaitCondition({ selector: '#app', state: 'attached', timeout: 500 })
+    ).toEqual({
+      type: 'selector',
+      value: '#app',
+      state: 'attached',
+      timeout: 500,
+    });
+  });
+
+  test('rejects ambiguous or malformed conditions', () => {
+    for (const condition of [
+      {},
+      { selector: '#a', text: 'b' },
+      { selector: '' },
+      { selector: '#a', state: 'shown' },
+      { delay: -1 },
+      { delay: '1000' },
+      { text: 'x', timeout: 0 },
+      'delay:soon',
+      null,
+    ]) {
+      expect(() => parseWaitCondition(condition)).toThrow();
+    }
+  });
+});
+
+describe('resolveWaitConditions', () => {
+  test('resolves one condition or a list, in order', () => {
+    expect(resolveWaitConditions(null)).toEqual([]);
+    expect(
+      resolveWaitConditions(['#list', { delay: 200 }]).map(c => c.type)
+    ).toEqual(['selector', 'delay']);
+    expect(resolveWaitConditions('text:Done')).toHaveLength(1);
+  });
+
+  test('reports invalid conditions as validation errors', () => {
+    let error;
+    try {
+      resolveWaitConditions(['#ok', { idle: 'long' }]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error?.category).toBe(ERROR_CATEGORIES.VALIDATION);
+    expect(error.userMessage).toContain('idle must be a number');
+  });
+});
+
+describe('describeWaitCondition', () => {
+  test('names what is waited for', () => {
+    expect(describeWaitCondition(parseWaitCondition('hidden:.spinner'))).toBe(
+      'selector ".spinner" to be hidden'
+    );
+    expect(describeWaitCondition(parseWaitCondition('idle:300'))).toBe(
+      'DOM to be idle for 300ms'
+    );
+  });
+});
+
+describe('waitForConditions', () => {
+  test('turns a Playwright timeout into a retryable timeout error', async () => {
+    const timeoutError = new Error('locator.waitFor: Timeout 50ms exceeded');
+    timeoutError.name = 'TimeoutError';
+    const page = {
+      locator: () => ({
+        first: () => ({
+          waitFor: async () => {
+            throw timeoutError;
+          },
+        }),
+      }),
+    };
+
+    await expect(
+      waitForConditions(page, resolveWaitConditions('.price'), { timeout: 50 })
+    ).rejects.toMatchObject({
+      category: ERROR_CATEGORIES.TIMEOUT,
+      shouldRetry: true,
+      message:
+        'Timed out after 50ms waiting for selector ".price" to be visible',
+    });
+  });
+
+  test('passes each condition its own timeout', async () => {
+    const timeouts = [];
+    const page = {
+      getByText: () => ({
+        first: () => ({
+          waitFor: async ({ timeout }) => {
+            timeouts.push(timeout);
+          },
+        }),
+      }),
+    };
+
+    await waitForConditions(
+      page,
+      resolveWaitConditions([{ text: 'a', timeout: 100 }, 'text:b']),
+      { timeout: 700 }
+    );
+    expect(timeouts).toEqual([100, 700]);
+  });
+});
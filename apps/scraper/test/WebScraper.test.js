@@ -0,0 +1,106 @@
+import { describe, expect, test } from 'bun:test';
+import { scrapeWithStreaming } from '../WebScraper.js';
+import { MemoryCacheStore } from '../utils/CacheManager.js';
+
+const LISTING_HTML = `<html><head>
+<title>Shop</title>
+<link rel="next" href="/list?page=2">
+</head><body><h1>Shop</h1><p>Item 1</p></body></html>`;
+
+/**
+ * Fake browser pool serving one fake page
+ * The page's DOM scripts find nothing (no modal, no scrolling, no next
+ * control), as after content cleanup removed the <link> elements.
+ * @param {string} html - HTML returned by page.content()
+ * @param {number} status - HTTP status of the main document
+ * @returns {Object} - Pool with the `calls` made on its page
+ */
+function createFakePool(html, status = 200) {
+  const calls = [];
+  const page = {
+    route: async () => {},
+    goto: async url => {
+      calls.push(`goto ${url}`);
+      return { status: () => status, headers: () => ({}) };
+    },
+    waitForLoadState: async () => {},
+    waitForTimeout: async () => {},
+    evaluate: async () => false,
+    textContent: async () => '',
+    locator: () => ({ count: async () => 0 }),
+    mouse: { wheel: async () => {} },
+    keyboard: { press: async () => {} },
+    click: async () => {},
+    frames: () => [],
+    mainFrame: () => null,
+    content: async () => html,
+    context: () => ({
+      newCDPSession: async () => {
+        throw new Error('No CDP in tests');
+      },
+    }),
+    isClosed: () => false,
+    url: () => 'https://shop.test/list',
+  };
+  return {
+    calls,
+    acquire: async () => ({
+      id: 'fake-session',
+      browser: {},
+      context: { close: async () => {} },
+      page,
+      release: async () => calls.push('release'),
+    }),
+  };
+}
+
+describe('scrapeWithStreaming', () => {
+  test('finds a <link rel="next"> in normal mode', async () => {
+    const browserPool = createFakePool(LISTING_HTML);
+
+    const result = await scrapeWithStreaming('https://shop.test/list', {
+      browserPool,
+      nextPage: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.markdown).toContain('Item 1');
+    expect(result.metadata.next).toBe('https://shop.test/list?page=2');
+    expect(result.nextPage).toEqual({
+      url: 'https://shop.test/list?page=2',
+      via: 'rel',
+    });
+    expect(browserPool.calls).toEqual([
+      'goto https://shop.test/list',
+      'release',
+    ]);
+  });
+
+  test('caches pages that loaded, not error pages', async () => {
+    const cacheStore = new MemoryCacheStore();
+    const scrapeTwice = async (url, browserPool) => {
+      await scrapeWithStreaming(url, { browserPool, cache: true, cacheStore });
+      return await scrapeWithStreaming(url, {
+        browserPool,
+        cache: true,
+        cacheStore,
+      });
+    };
+
+    const failing = createFakePool(LISTING_HTML, 500);
+    const failed = await scrapeTwice('https://shop.test/broken', failing);
+
+    expect(failed.cached).toBe(false);
+    expect(failing.calls.filter(call => call.startsWith('goto'))).toHaveLength(
+      2
+    );
+
+    const working = createFakePool(LISTING_HTML);
+    const loaded = await scrapeTwice('https://shop.test/list', working);
+
+    expect(loaded.cached).toBe(true);
+    expect(working.calls.filter(call => call.startsWith('goto'))).toHaveLength(
+      1
+    );
+  });
+});
@@ -1,3 +1,6 @@
+// Bump whenever a prompt changes so cached AI outputs from older prompts are not reused
+export const PROMPT_VERSION = 1;
+
 /**
  * Utility function to generate HTML analysis prompt for interactive element detection
  * @param {string} htmlContent - The HTML content to analyze
@@ -620,3 +623,61 @@ ${content}
 `;
   }
 }
+
+/**
+ * Generate prompt for extracting structured data that matches a JSON schema
+ * @param {string} instruction - What to extract (optional)
+ * @param {string} content - The page content (markdown) to extract from
+ * @param {Array<string>} validationErrors - Errors from the previous attempt, if any
+ * @param {Object} schema - JSON Schema to spell out in the prompt (for models without native structured output)
+ * @returns {string} - The structured extraction prompt
+ */
+export function generateStructuredExtractionPrompt(
+  instruction,
+  content,
+  validationErrors = [],
+  schema = null
+) {
+  const task =
+    instruction && instruction.trim() !== ''
+      ? instruction
+      : 'Extract all information from the page that fits the schema';
+
+  const retryNotes =
+    validationErrors.length > 0
+      ? `
+**PREVIOUS ATTEMPT FAILED VALIDATION:**
+${validationErrors.map(error => `- ${error}`).join('\n')}
+
+Fix these problems in your new answer.
+`
+      : '';
+
+  const schemaNotes = schema
+    ? `- Respond with the JSON object only, no text before or after it
+
+**JSON Schema:**
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+`
+    : '';
+
+  return `You are a precise data extraction engine. Extract structured data from the page content below.
+
+**Task:** ${task}
+
+**Instructions:**
+- Return a JSON object that matches the provided schema exactly
+- Use ONLY information present in the page content - never invent values
+- Use null for optional fields that are not present on the page
+- Keep numbers as numbers and booleans as booleans, without units or formatting unless the schema asks for strings
+- Preserve the original wording of names, titles and descriptions
+- Include every matching item when the schema asks for a list
+${schemaNotes}${retryNotes}
+Page content:
+\`\`\`markdown
+${content}
+\`\`\`
+`;
+}
@@ -0,0 +1,257 @@
+import path from 'path';
+import { request } from 'playwright-core';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import { visit } from 'unist-util-visit';
+import { ASSET_OPTIONS, BROWSER_OPTIONS } from '../config.js';
+import { hashContent } from './CacheManager.js';
+import { saveToFile } from './FileManager.js';
+import { throwIfCancelled } from './GlobalErrorHandler.js';
+
+// File extension saved for each allowed image type
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+};
+
+/**
+ * Snapshot what image requests need from the browser session: its cookies,
+ * local storage and user agent. Taken before the session is closed, so
+ * downloads later in the pipeline are authenticated like the page was.
+ * @param {Object} browserContext - Playwright browser context
+ * @param {Object} page - Playwright page
+ * @param {Object} [auth] - Resolved auth from loadAuth, for its headers and basic auth
+ * @param {Object} [proxy] - Proxy the page was loaded through
+ * @returns {Promise<Object>} - { storageState, userAgent, extraHTTPHeaders, httpCredentials, proxy }
+ */
+export async function captureAssetSession(browserContext, page, auth, proxy) {
+  return {
+    storageState: await browserContext.storageState(),
+    userAgent: await page.evaluate(() => navigator.userAgent),
+    extraHTTPHeaders: auth?.contextOptions.extraHTTPHeaders,
+    httpCredentials: auth?.contextOptions.httpCredentials,
+    proxy,
+  };
+}
+
+/**
+ * Find the images referenced by markdown
+ * Covers inline images and reference-style image definitions.
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{url: string, start: number, end: number}>} - Image URLs with the source range holding them
+ */
+function findImageReferences(markdown) {
+  const tree = unified().use(remarkParse).use(remarkGfm).parse(markdown);
+  const referenced = new Set();
+  const nodes = [];
+
+  visit(tree, node => {
+    if (node.type === 'image') {
+      nodes.push(node);
+    } else if (node.type === 'imageReference') {
+      referenced.add(node.identifier);
+    }
+  });
+  visit(tree, 'definition', node => {
+    if (referenced.has(node.identifier)) {
+      nodes.push(node);
+    }
+  });
+
+  return nodes
+    .filter(node => node.url && node.position)
+    .map(node => ({
+      url: node.url,
+      start: node.position.start.offset,
+      end: node.position.end.offset,
+    }));
+}
+
+/**
+ * Download one image, enforcing the type and size limits
+ * @param {Object} api - Playwright APIRequestContext
+ * @param {string} url - Absolute image URL
+ * @param {Object} limits - { maxBytes, types, timeout }
+ * @returns {Promise<Object>} - { body, contentType } or { reason } when the image is skipped
+ */
+async function fetchImage(api, url, limits) {
+  const response = await api.get(url, {
+    timeout: limits.timeout,
+    maxRedirects: 5,
+  });
+
+  try {
+    if (!response.ok()) {
+      return { reason: `HTTP ${response.status()}` };
+    }
+
+    const headers = response.headers();
+    const contentType = (headers['content-type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    if (!limits.types.includes(contentType) || !IMAGE_EXTENSIONS[contentType]) {
+      return { reason: `type ${contentType || 'unknown'} not allowed` };
+    }
+
+    const declaredLength = parseInt(headers['content-length'], 10);
+    if (declaredLength > limits.maxBytes) {
+      return { reason: `larger than ${limits.maxBytes} bytes` };
+    }
+
+    const body = await response.body();
+    if (body.length > limits.maxBytes) {
+      return { reason: `larger than ${limits.maxBytes} bytes` };
+    }
+    return { body, contentType };
+  } finally {
+    await response.dispose();
+  }
+}
+
+/**
+ * Download the images referenced by markdown and point the markdown at the
+ * local copies
+ *
+ * Images are saved in an assets directory next to the markdown file, named
+ * after a hash of their content so repeated images are stored once. Images
+ * that fail, are not an allowed type or exceed the size limit keep their
+ * remote URL.
+ *
+ * @param {string} markdown - Markdown with absolute image URLs
+ * @param {Object} options - Download options
+ * @param {string} options.markdownFile - Markdown filename, relative to the output directory
+ * @param {string} options.outputDir - Output directory
+ * @param {Object} [options.session] - Browser session snapshot from captureAssetSession (cookies, user agent, auth headers)
+ * @param {number} [options.maxBytes] - Largest image downloaded (default: ASSET_MAX_BYTES)
+ * @param {Array<string>} [options.types] - Allowed content types (default: ASSET_OPTIONS.types)
+ * @param {number} [options.maxImages] - Images downloaded per page (default: ASSET_MAX_IMAGES)
+ * @param {AbortSignal} [options.signal] - Stops downloading when aborted
+ * @returns {Promise<Object>} - { markdown, downloaded: [{ url, file, contentType, bytes }], skipped: [{ url, reason }] }
+ */
+export async function downloadImages(markdown, options) {
+  const limits = {
+    maxBytes: options.maxBytes || ASSET_OPTIONS.maxBytes,
+    types: options.types || ASSET_OPTIONS.types,
+    timeout: ASSET_OPTIONS.timeout,
+  };
+  const maxImages = options.maxImages || ASSET_OPTIONS.maxImages;
+  const references = findImageReferences(markdown || '');
+  const downloaded = [];
+  const skipped = [];
+
+  if (references.length === 0) {
+    return { markdown, downloaded, skipped };
+  }
+
+  // Assets go next to the markdown file, referenced relative to it
+  const markdownDir = path.posix.dirname(options.markdownFile);
+  const localPaths = new Map();
+
+  const api = await request.newContext({
+    storageState: options.session?.storageState,
+    userAgent: options.session?.userAgent,
+    extraHTTPHeaders: options.session?.extraHTTPHeaders,
+    httpCredentials: options.session?.httpCredentials,
+    // Without the page's proxy, images go through the launch proxy (PROXY_SERVER)
+    proxy: options.session?.proxy || BROWSER_OPTIONS.proxy,
+    ignoreHTTPSErrors: true,
+  });
+
+  try {
+    for (const url of new Set(references.map(reference => reference.url))) {
+      throwIfCancelled(options.signal);
+
+      if (!/^https?:\/\//i.test(url)) {
+        skipped.push({ url, reason: 'not an http(s) URL' });
+        continue;
+      }
+      if (localPaths.size >= maxImages) {
+        skipped.push({ url, reason: `more than ${maxImages} images` });
+        continue;
+      }
+
+      try {
+        const image = await fetchImage(api, url, limits);
+        if (!image.body) {
+          skipped.push({ url, reason: image.reason });
+          continue;
+        }
+
+        const name = `${hashContent(image.body).slice(0, 16)}.${IMAGE_EXTENSIONS[image.contentType]}`;
+        const file = await saveToFile(
+          image.body,
+          path.posix.join(markdownDir, ASSET_OPTIONS.dirName, name),
+          { outputDir: options.outputDir, ifExists: 'overwrite' }
+        );
+        if (!file) {
+          skipped.push({ url, reason: 'could not be saved' });
+          continue;
+        }
+
+        localPaths.set(url, `${ASSET_OPTIONS.dirName}/${name}`);
+        downloaded.push({
+          url,
+          file,
+          contentType: image.contentType,
+          bytes: image.body.length,
+        });
+      } catch (error) {
+        skipped.push({ url, reason: error.message.split('\n')[0] });
+      }
+    }
+  } finally {
+    await api.dispose();
+  }
+
+  // Rewrite from the end so earlier offsets stay valid
+  let localized = markdown;
+  for (const { url, start, end } of [...references].sort(
+    (a, b) => b.start - a.start
+  )) {
+    const localPath = localPaths.get(url);
+    const source = localized.slice(start, end);
+    if (localPath && source.includes(url)) {
+      localized =
+        localized.slice(0, start) +
+        source.replace(url, localPath) +
+        localized.slice(end);
+    }
+  }
+
+  console.log(
+    `🖼️ Downloaded ${downloaded.length} image(s)${skipped.length ? `, ${skipped.length} kept remote` : ''}`
+  );
+  return { markdown: localized, downloaded, skipped };
+}
+
+/**
+ * Download the images of a scrape result before saving it
+ * Used by crawls and batches, which save pages after their browser is closed,
+ * so images are requested without the page's cookies.
+ * @param {Object} result - Scrape result
+ * @param {string} markdownFile - Markdown filename, relative to the output directory
+ * @param {Object} options - Scrape options (outputDir, imageMaxBytes, imageTypes, signal)
+ * @returns {Promise<Object>} - { result: result with local image links, assets: { downloaded, skipped } }
+ */
+export async function localizeResultImages(result, markdownFile, options) {
+  const download = await downloadImages(result.markdown, {
+    markdownFile,
+    outputDir: options.outputDir,
+    maxBytes: options.imageMaxBytes,
+    types: options.imageTypes,
+    signal: options.signal,
+  });
+  return {
+    result: { ...result, markdown: download.markdown },
+    assets: { downloaded: download.downloaded, skipped: download.skipped },
+  };
+}
@@ -0,0 +1,293 @@
+import fs from 'fs/promises';
+import { createError, ERROR_CATEGORIES } from './GlobalErrorHandler.js';
+
+// Cookie sameSite values accepted by Playwright, keyed by the spellings browser exports use
+const SAME_SITE_VALUES = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None',
+};
+
+/**
+ * Convert a cookie from a JSON export to a Playwright cookie
+ * Accepts Playwright/storageState cookies and browser extension exports
+ * (expirationDate, hostOnly, sameSite "no_restriction"/"unspecified").
+ * @param {Object} cookie - Cookie object
+ * @returns {Object} - { name, value, domain, path, expires, httpOnly, secure, sameSite? } or { name, value, url }
+ */
+function normalizeCookie(cookie) {
+  if (!cookie || typeof cookie !== 'object' || !cookie.name) {
+    throw new Error('every cookie needs a name');
+  }
+
+  const normalized = {
+    name: String(cookie.name),
+    value: String(cookie.value ?? ''),
+  };
+  if (cookie.url && !cookie.domain) {
+    return { ...normalized, url: String(cookie.url) };
+  }
+  if (!cookie.domain) {
+    throw new Error(`cookie "${cookie.name}" needs a domain or url`);
+  }
+
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite =
+    SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()];
+  return {
+    ...normalized,
+    // Host-only cookies are stored without the leading dot
+    domain: cookie.hostOnly
+      ? String(cookie.domain).replace(/^\./, '')
+      : String(cookie.domain),
+    path: cookie.path || '/',
+    expires: expires > 0 ? Math.floor(expires) : -1,
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    ...(sameSite && { sameSite }),
+  };
+}
+
+/**
+ * Parse a Netscape cookies.txt file, as exported by curl, wget and browser
+ * extensions
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Playwright cookies
+ */
+function parseNetscapeCookies(content) {
+  const cookies = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // curl marks HttpOnly cookies with a prefix on an otherwise commented line
+    const httpOnly = rawLine.startsWith('#HttpOnly_');
+    const line = httpOnly ? rawLine.slice('#HttpOnly_'.length) : rawLine;
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(
+        `expected 7 tab-separated fields on line "${fields[0]}..."`
+      );
+    }
+
+    const [domain, includeSubdomains, path, secure, expires, name] = fields;
+    cookies.push(
+      normalizeCookie({
+        domain,
+        hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+        path,
+        secure: secure.toUpperCase() === 'TRUE',
+        expires: Number(expires),
+        name,
+        // Values may contain tabs, everything after the name is the value
+        value: fields.slice(6).join('\t'),
+        httpOnly,
+      })
+    );
+  }
+
+  return cookies;
+}
+
+/**
+ * Parse cookies from a Netscape cookies.txt file or a JSON export
+ * JSON may be an array of cookies or an object with a `cookies` array (such
+ * as a Playwright storageState file).
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Playwright cookies
+ */
+export function parseCookies(content) {
+  const text = String(content || '').trim();
+  if (!text) {
+    return [];
+  }
+
+  try {
+    if (text.startsWith('[') || text.startsWith('{')) {
+      const parsed = JSON.parse(text);
+      const cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+      if (!Array.isArray(cookies)) {
+        throw new Error('expected an array of cookies');
+      }
+      return cookies.map(normalizeCookie);
+    }
+    return parseNetscapeCookies(text);
+  } catch (error) {
+    throw createError(`Invalid cookies: ${error.message}`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: `Cookies must be a Netscape cookies.txt file or a JSON array of cookies (${error.message}).`,
+    });
+  }
+}
+
+/**
+ * Read a file given as an auth option
+ * @param {string} file - Path to the file
+ * @param {string} label - What the file holds, for the error message
+ * @returns {Promise<string>} - File content
+ */
+async function readAuthFile(file, label) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw createError(`Could not read ${label} file ${file}`, {
+      category: ERROR_CATEGORIES.FILE,
+      userMessage: `Could not read the ${label} file ${file}.`,
+      originalError: error,
+    });
+  }
+}
+
+/**
+ * Parse a "Name: value" header, as given on the command line
+ * @param {string} header - Header line
+ * @returns {Array<string>} - [name, value]
+ */
+export function parseHeader(header) {
+  const separator = String(header).indexOf(':');
+  const name = separator > 0 ? header.slice(0, separator).trim() : '';
+  if (!name) {
+    throw new Error(`Invalid header "${header}": expected "Name: value"`);
+  }
+  return [name, header.slice(separator + 1).trim()];
+}
+
+/**
+ * Parse "username:password" basic auth credentials
+ * @param {string} credentials - Credentials, the password may contain colons
+ * @returns {Object} - { username, password }
+ */
+export function parseBasicAuth(credentials) {
+  const separator = String(credentials).indexOf(':');
+  if (separator <= 0) {
+    throw new Error('Invalid basic auth: expected "username:password"');
+  }
+  return {
+    username: credentials.slice(0, separator),
+    password: credentials.slice(separator + 1),
+  };
+}
+
+/**
+ * Resolve the auth option of a scrape into what the browser context needs
+ *
+ * Cookies and storageState may be given inline or as file paths. Files are
+ * read here, before any browser work, so a missing or malformed file fails
+ * the scrape early.
+ *
+ * @param {Object} [auth] - Auth options
+ * @param {Array<Object>|string} [auth.cookies] - Cookies, or a Netscape/JSON cookie file
+ * @param {Object} [auth.headers] - Extra HTTP headers sent with every request
+ * @param {Object} [auth.httpCredentials] - Basic auth { username, password }
+ * @param {Object|string} [auth.storageState] - Playwright storageState object or file
+ * @returns {Promise<Object|null>} - { contextOptions, cookies }, or null without auth
+ */
+export async function loadAuth(auth) {
+  if (!auth) {
+    return null;
+  }
+
+  const contextOptions = {};
+  let cookies = [];
+
+  if (typeof auth.cookies === 'string') {
+    cookies = parseCookies(await readAuthFile(auth.cookies, 'cookies'));
+  } else if (auth.cookies) {
+    try {
+      cookies = [auth.cookies].flat().map(normalizeCookie);
+    } catch (error) {
+      throw createError(`Invalid cookies: ${error.message}`, {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: `Invalid cookies (${error.message}).`,
+      });
+    }
+  }
+
+  if (auth.headers && Object.keys(auth.headers).length > 0) {
+    contextOptions.extraHTTPHeaders = Object.fromEntries(
+      Object.entries(auth.headers).map(([name, value]) => [name, String(value)])
+    );
+  }
+
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    if (!username) {
+      throw createError('Basic auth needs a username', {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: 'httpCredentials must have a username and password.',
+      });
+    }
+    contextOptions.httpCredentials = {
+      username: String(username),
+      password: String(password ?? ''),
+    };
+  }
+
+  if (typeof auth.storageState === 'string') {
+    const content = await readAuthFile(auth.storageState, 'storage state');
+    try {
+      contextOptions.storageState = JSON.parse(content);
+    } catch (error) {
+      throw createError(`Invalid storage state: ${error.message}`, {
+        category: ERROR_CATEGORIES.VALIDATION,
+        userMessage: `The storage state file ${auth.storageState} is not valid JSON.`,
+      });
+    }
+  } else if (auth.storageState) {
+    contextOptions.storageState = auth.storageState;
+  }
+
+  if (cookies.length === 0 && Object.keys(contextOptions).length === 0) {
+    return null;
+  }
+  return { contextOptions, cookies };
+}
+
+/**
+ * Apply resolved auth cookies to a browser context
+ * Context-level auth (headers, credentials, storageState) is passed when the
+ * context is created, see createSessionOnBrowser.
+ * @param {Object} context - Playwright browser context
+ * @param {Object|null} auth - Resolved auth from loadAuth
+ * @returns {Promise<void>}
+ */
+export async function applyAuthCookies(context, auth) {
+  if (!auth?.cookies?.length) {
+    return;
+  }
+
+  try {
+    await context.addCookies(auth.cookies);
+  } catch (error) {
+    throw createError(`Could not set cookies: ${error.message}`, {
+      category: ERROR_CATEGORIES.VALIDATION,
+      userMessage: 'The browser rejected the given cookies.',
+      originalError: error,
+    });
+  }
+}
+
+/**
+ * Describe what auth a scrape uses without revealing any secret
+ * @param {Object|null} auth - Resolved auth from loadAuth
+ * @returns {string} - e.g. "3 cookies, headers (Authorization), basic auth"
+ */
+export function describeAuth(auth) {
+  if (!auth) {
+    return 'none';
+  }
+
+  const { contextOptions, cookies } = auth;
+  return [
+    cookies.length > 0 && `${cookies.length} cookies`,
+    contextOptions.extraHTTPHeaders &&
+      `headers (${Object.keys(contextOptions.extraHTTPHeaders).join(', ')})`,
+    contextOptions.httpCredentials && 'basic auth',
+    contextOptions.storageState && 'storage state',
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
@@ -0,0 +1,274 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { CACHE_OPTIONS, ROBOTS_OPTIONS } from '../config.js';
+import { PROMPT_VERSION } from './AIPrompts.js';
+
+/**
+ * Cache stores share one small async interface, so any backend (Redis, a
+ * database...) can be passed as options.cacheStore:
+ *   get(key) -> entry or null, set(key, entry), delete(key), clear()
+ * Entries are plain JSON objects: { value, createdAt, expiresAt, etag, lastModified }
+ */
+
+/**
+ * In-process cache, least recently used entries are evicted first
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Entries kept before evicting (default: CACHE_OPTIONS.maxEntries)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || CACHE_OPTIONS.maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // Re-insert so the Map order tracks recent use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache persisted as one JSON file per entry, shared across processes
+ */
+export class FileCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Cache directory (default: CACHE_OPTIONS.dir)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || CACHE_OPTIONS.dir;
+  }
+
+  _path(key) {
+    // Two-character buckets keep directories small
+    return join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(this._path(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(
+          `⚠️ Ignoring unreadable cache entry ${key}: ${error.message}`
+        );
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const path = this._path(key);
+    await mkdir(join(this.dir, key.slice(0, 2)), { recursive: true });
+    await writeFile(path, JSON.stringify(entry), 'utf8');
+  }
+
+  async delete(key) {
+    await rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    await rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Create a cache store for a backend
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'fs' or 'memory' (default: CACHE_OPTIONS.backend)
+ * @returns {MemoryCacheStore|FileCacheStore} - Cache store
+ */
+export function createCacheStore(options = {}) {
+  const backend = options.backend || CACHE_OPTIONS.backend;
+  if (backend === 'memory') {
+    return new MemoryCacheStore(options);
+  }
+  if (backend === 'fs') {
+    return new FileCacheStore(options);
+  }
+  throw new Error(`Unknown cache backend "${backend}" (expected fs or memory)`);
+}
+
+/**
+ * Process-wide cache store configured from the environment
+ * @returns {Object} - Cache store
+ */
+export function getDefaultCacheStore() {
+  if (!defaultStore) {
+    defaultStore = createCacheStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Turn the per-call cache option into a policy
+ * @param {boolean|string} cache - true/'use', false/'off', or 'refresh'
+ * @returns {string} - 'use' (read and write), 'refresh' (write only) or 'off'
+ */
+export function resolveCachePolicy(cache) {
+  if (cache === 'refresh') {
+    return 'refresh';
+  }
+  return cache === false || cache === 'off' ? 'off' : 'use';
+}
+
+/**
+ * Normalize a URL so equivalent addresses share cache entries
+ * Drops the fragment, default ports and trailing slashes and sorts query parameters.
+ * @param {string} url - Page URL
+ * @returns {string} - Normalized URL
+ */
+export function normalizeCacheUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Hash content for content-addressed cache keys
+ * @param {string} content - Content to hash
+ * @returns {string} - sha256 hex digest
+ */
+export function hashContent(content) {
+  return createHash('sha256')
+    .update(content || '')
+    .digest('hex');
+}
+
+/**
+ * Build a cache key for a pipeline stage
+ * The prompt version is always part of the key, so changing a prompt
+ * invalidates every AI output cached with the old one.
+ * @param {string} stage - Pipeline stage ('page', 'ai', 'extraction'...)
+ * @param {Object} parts - Values identifying the entry (url, mode, query, model...)
+ * @returns {string} - Cache key
+ */
+export function buildCacheKey(stage, parts = {}) {
+  const sortedParts = Object.fromEntries(
+    Object.entries(parts)
+      .filter(([, value]) => value !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  return hashContent(
+    JSON.stringify({ stage, promptVersion: PROMPT_VERSION, ...sortedParts })
+  );
+}
+
+/**
+ * Read a cache entry, never failing the caller
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry with a `fresh` flag, or null on a miss
+ */
+export async function readCacheEntry(store, key) {
+  try {
+    const entry = await store.get(key);
+    if (!entry) {
+      return null;
+    }
+    return { ...entry, fresh: entry.expiresAt > Date.now() };
+  } catch (error) {
+    console.warn(`⚠️ Cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry, never failing the caller
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @param {Object} options - Entry options
+ * @param {number} options.ttl - Seconds the entry stays fresh (default: CACHE_OPTIONS.ttl)
+ * @param {string} options.etag - ETag of the source page, for revalidation
+ * @param {string} options.lastModified - Last-Modified of the source page, for revalidation
+ * @returns {Promise<void>}
+ */
+export async function writeCacheEntry(store, key, value, options = {}) {
+  const now = Date.now();
+  try {
+    await store.set(key, {
+      value,
+      createdAt: now,
+      expiresAt: now + (options.ttl || CACHE_OPTIONS.ttl) * 1000,
+      etag: options.etag || null,
+      lastModified: options.lastModified || null,
+    });
+  } catch (error) {
+    console.warn(`⚠️ Cache write failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check with the server whether a stale page entry is still current, using
+ * a conditional request (If-None-Match / If-Modified-Since)
+ * @param {string} url - Page URL
+ * @param {Object} entry - Stale cache entry
+ * @param {Object} options - Request options
+ * @param {string} options.userAgent - User-Agent header to send
+ * @returns {Promise<boolean>} - True when the server answered 304 Not Modified
+ */
+export async function revalidateCacheEntry(url, entry, options = {}) {
+  if (!entry?.etag && !entry?.lastModified) {
+    return false;
+  }
+
+  const headers = {
+    'User-Agent': options.userAgent || ROBOTS_OPTIONS.userAgent,
+  };
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  try {
+    const response = await fetch(url, {
+      headers,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(ROBOTS_OPTIONS.fetchTimeout),
+    });
+    // Don't download the body of a changed page, the browser fetches it again
+    await response.body?.cancel();
+    return response.status === 304;
+  } catch (error) {
+    console.warn(`⚠️ Cache revalidation failed for ${url}: ${error.message}`);
+    return false;
+  }
+}
@@ -1,36 +1,240 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { handleError } from './GlobalErrorHandler.js';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { OUTPUT_OPTIONS } from '../config.js';
+import {
+  createError,
+  ERROR_CATEGORIES,
+  handleError,
+} from './GlobalErrorHandler.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// What saveToFile does when the target file already exists
+export const IF_EXISTS_POLICIES = ['overwrite', 'skip', 'version'];
+
+// Extensions kept together when versioning ("page.raw.md" -> "page-1.raw.md")
+const EXTENSION_PATTERN = /(\.raw)?\.[a-z0-9]+$/i;
+
+/**
+ * Make a relative filename safe to write: separators are normalized, "." and
+ * ".." segments dropped and characters invalid on common filesystems replaced
+ * @param {string} filename - Relative filename, may contain sub-directories
+ * @returns {string} - Sanitized relative filename
+ */
+export function sanitizeFilename(filename) {
+  const segments = String(filename)
+    .split(/[\\/]+/)
+    .map(segment =>
+      segment
+        .replace(/[<>:"|?*\p{Cc}]/gu, '-')
+        .replace(/^\.+$/, '')
+        .trim()
+    )
+    .filter(Boolean);
+  return segments.join('/');
+}
+
+/**
+ * Resolve where a file is written, refusing paths outside the output directory
+ * @param {string} filename - Relative filename
+ * @param {string} outputDir - Output directory (default: OUTPUT_OPTIONS.dir)
+ * @returns {string} - Absolute path inside outputDir
+ */
+export function resolveOutputPath(filename, outputDir = OUTPUT_OPTIONS.dir) {
+  const root = path.resolve(outputDir);
+  const outputPath = path.resolve(root, sanitizeFilename(filename));
+  const relative = path.relative(root, outputPath);
+
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createError(`Refusing to write "${filename}" outside ${root}`, {
+      category: ERROR_CATEGORIES.FILE,
+      userMessage: 'Output filename must stay inside the output directory.',
+    });
+  }
+  return outputPath;
+}
+
+/**
+ * Render a filename template such as "{host}/{path-slug}-{date}"
+ *
+ * Placeholders: {host}, {path-slug} (URL path and query), {slug} (host and
+ * path), {name} (output filename), {mode}, {query-slug}, {date} (YYYY-MM-DD)
+ * and {time} (HHmmss). A trailing extension in the template is dropped, every
+ * saved file keeps its own (.md, .raw.md, .html, .json).
+ *
+ * @param {string} template - Filename template
+ * @param {Object} values - Template values
+ * @param {string} values.url - Page URL
+ * @param {string} values.name - Output filename given by the caller
+ * @param {string} values.mode - Scraping mode
+ * @param {string} values.query - User query
+ * @param {Date} values.date - Timestamp (default: now)
+ * @returns {string} - Relative filename without extension
+ */
+export function renderFilenameTemplate(template, values = {}) {
+  const slugify = text =>
+    String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 100);
+
+  let host = '';
+  let pathSlug = '';
+  try {
+    const { hostname, pathname, search } = new URL(values.url);
+    host = hostname;
+    pathSlug = slugify(decodeURIComponent(`${pathname}${search}`));
+  } catch {
+    // Not a URL, the URL placeholders stay empty
+  }
+
+  const iso = (values.date || new Date()).toISOString();
+  const replacements = {
+    host: host || 'unknown-host',
+    'path-slug': pathSlug || 'index',
+    slug: slugify(`${host} ${pathSlug}`) || 'index',
+    name: values.name || 'scraped',
+    mode: values.mode || '',
+    'query-slug': slugify(values.query) || 'all',
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19).replace(/:/g, ''),
+  };
+
+  return template
+    .replace(EXTENSION_PATTERN, '')
+    .replace(/\{([a-z-]+)\}/g, (match, key) =>
+      key in replacements ? replacements[key] : match
+    );
+}
+
+/**
+ * Name a saved file after the filename template, when one is set
+ * @param {string} name - Name used without a template (also the template's {name})
+ * @param {Object} options - Output options with an optional filenameTemplate
+ * @param {Object} values - Template values ({ url, mode, query })
+ * @returns {string} - Relative filename without extension
+ */
+export function buildOutputName(name, options = {}, values = {}) {
+  return options.filenameTemplate
+    ? renderFilenameTemplate(options.filenameTemplate, { ...values, name })
+    : name;
+}
+
+/**
+ * Find the first free "<name>-<n><ext>" next to an existing file
+ * @param {string} outputPath - Absolute path of the existing file
+ * @returns {Promise<string>} - Absolute path that doesn't exist yet
+ */
+async function nextVersionPath(outputPath) {
+  const extension = path.basename(outputPath).match(EXTENSION_PATTERN)?.[0];
+  const stem = extension ? outputPath.slice(0, -extension.length) : outputPath;
+
+  for (let version = 1; ; version++) {
+    const candidate = `${stem}-${version}${extension || ''}`;
+    if (!(await fileExists(candidate))) {
+      return candidate;
+    }
+  }
+}
 
 /**
- * Save content to a file
+ * Check whether a path exists
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<boolean>} - True if it exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save content to a file inside the output directory
  * @param {string} content - The content to save
- * @param {string} filename - The filename to save as
- * @returns {Promise<boolean>} Success status
+ * @param {string} filename - The filename to save as, relative to the output directory
+ * @param {Object} [options] - Output options (scrape options can be passed as is)
+ * @param {string} [options.outputDir] - Output directory (default: SNIFFHUNT_OUTPUT_DIR or the repository root)
+ * @param {string} [options.ifExists] - 'overwrite', 'skip' or 'version' (default: SNIFFHUNT_IF_EXISTS or 'overwrite')
+ * @returns {Promise<string|null>} Filename written (relative to the output directory), null when skipped or failed
  */
-export async function saveToFile(content, filename) {
+export async function saveToFile(content, filename, options = {}) {
+  const outputDir = options.outputDir || OUTPUT_OPTIONS.dir;
+  const ifExists = options.ifExists || OUTPUT_OPTIONS.ifExists;
+
   try {
-    // Always use the repository root directory
-    const outputDir = path.join(__dirname, '../../../');
+    let outputPath = resolveOutputPath(filename, outputDir);
 
-    // Create output directory if it doesn't exist
-    await fs.mkdir(outputDir, { recursive: true });
+    if (ifExists !== 'overwrite' && (await fileExists(outputPath))) {
+      if (ifExists === 'skip') {
+        console.log(`⏭️ Keeping existing file ${filename}`);
+        return null;
+      }
+      outputPath = await nextVersionPath(outputPath);
+    }
+
+    // Create output directory (and any sub-directory in filename) if it doesn't exist
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
 
-    const outputPath = path.join(outputDir, filename);
     await fs.writeFile(outputPath, content);
-    return true;
+    return path.relative(path.resolve(outputDir), outputPath);
   } catch (error) {
     await handleError(error, {
       operation: 'saveToFile',
       filename,
-      outputDir: 'root directory',
+      outputDir,
       contentLength: content ? content.length : 0,
     });
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Append content to a file inside the output directory, creating it if needed
+ * @param {string} content - The content to append
+ * @param {string} filename - The filename, relative to the output directory
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (default: SNIFFHUNT_OUTPUT_DIR or the repository root)
+ * @returns {Promise<string|null>} Filename appended to, null on failure
+ */
+export async function appendToFile(content, filename, options = {}) {
+  const outputDir = options.outputDir || OUTPUT_OPTIONS.dir;
+
+  try {
+    const outputPath = resolveOutputPath(filename, outputDir);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.appendFile(outputPath, content);
+    return path.relative(path.resolve(outputDir), outputPath);
+  } catch (error) {
+    await handleError(error, {
+      operation: 'appendToFile',
+      filename,
+      outputDir,
+      contentLength: content ? content.length : 0,
+    });
+    return null;
+  }
+}
+
+/**
+ * Read a file saved with saveToFile
+ * @param {string} filename - The filename, relative to the output directory
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (default: SNIFFHUNT_OUTPUT_DIR or the repository root)
+ * @returns {Promise<string|null>} File content, or null if it doesn't exist or can't be read
+ */
+export async function readFromFile(filename, options = {}) {
+  try {
+    const outputPath = resolveOutputPath(
+      filename,
+      options.outputDir || OUTPUT_OPTIONS.dir
+    );
+    return await fs.readFile(outputPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      await handleError(error, { operation: 'readFromFile', filename });
+    }
+    return null;
   }
 }
@@ -0,0 +1,56 @@
+import { stringify } from 'yaml';
+import { hashContent } from './CacheManager.js';
+
+/**
+ * Build a YAML front matter block
+ * @param {Object} fields - Front matter fields, null/undefined/empty values are left out
+ * @returns {string} - "---\n...\n---\n\n", or an empty string when no field is set
+ */
+export function buildFrontMatter(fields) {
+  const entries = Object.entries(fields || {}).filter(
+    ([, value]) => value !== null && value !== undefined && value !== ''
+  );
+  if (entries.length === 0) {
+    return '';
+  }
+  return `---\n${stringify(Object.fromEntries(entries), { lineWidth: 0 })}---\n\n`;
+}
+
+/**
+ * Front matter fields describing a scraped page and where it came from
+ * @param {Object} source - Scrape details
+ * @param {string} source.url - Scraped URL
+ * @param {string} source.mode - Scraping mode
+ * @param {string} source.query - User query
+ * @param {string} source.scrapedAt - ISO timestamp of the scrape (default: now)
+ * @param {string} source.markdown - Markdown body, hashed into contentHash
+ * @param {Object} source.metadata - Page metadata from extractMetadata
+ * @returns {Object} - { title, source, scrapedAt, mode, query, contentHash, description, author, published, modified, canonical, lang }
+ */
+export function getFrontMatterFields(source = {}) {
+  const metadata = source.metadata || {};
+  return {
+    title: metadata.title,
+    source: source.url,
+    scrapedAt: source.scrapedAt || new Date().toISOString(),
+    mode: source.mode,
+    query: source.query,
+    contentHash: `sha256:${hashContent(source.markdown)}`,
+    description: metadata.description,
+    author: metadata.author,
+    published: metadata.publishedAt,
+    modified: metadata.modifiedAt,
+    canonical: metadata.canonical,
+    lang: metadata.lang,
+  };
+}
+
+/**
+ * Prepend YAML front matter to markdown
+ * @param {string} markdown - Markdown content
+ * @param {Object} fields - Front matter fields, see buildFrontMatter
+ * @returns {string} - Markdown with front matter
+ */
+export function addFrontMatter(markdown, fields) {
+  return `${buildFrontMatter(fields)}${markdown || ''}`;
+}
@@ -1,14 +1,60 @@
 // Simple error categories for basic classification
 export const ERROR_CATEGORIES = {
   NETWORK: 'network',
+  PROXY: 'proxy',
   BROWSER: 'browser',
   AI: 'ai',
   FILE: 'file',
   TIMEOUT: 'timeout',
   RATE_LIMIT: 'rate_limit',
+  ROBOTS_BLOCKED: 'robots_blocked',
+  VALIDATION: 'validation',
+  CANCELLED: 'cancelled',
   UNKNOWN: 'unknown',
 };
 
+// Context keys whose values are never logged or reported
+const SECRET_KEY_PATTERN =
+  /pass(word)?|secret|token|cookie|authori[sz]ation|api[-_]?key|credential|storage[-_]?state|^auth$|-auth$/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a value with secrets replaced by "[REDACTED]"
+ * Values of secret-looking keys (cookies, authorization headers, passwords,
+ * tokens...) are hidden, and credentials are stripped from URLs in strings.
+ * Counts and flags under those keys are kept. The text of scripted `type`
+ * actions is hidden too, it is often a password.
+ * @param {*} value - Error context, options or any loggable value
+ * @returns {*} - Redacted copy
+ */
+export function redactSecrets(value) {
+  if (typeof value === 'string') {
+    return value.replace(
+      /(\b[a-z][a-z0-9+.-]*:\/\/[^/\s:@]*):[^/\s@]*@/gi,
+      `$1:${REDACTED}@`
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  const isTypeAction = value.action === 'type';
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      (SECRET_KEY_PATTERN.test(key) || (isTypeAction && key === 'text')) &&
+      entry !== null &&
+      typeof entry !== 'number' &&
+      typeof entry !== 'boolean'
+        ? REDACTED
+        : redactSecrets(entry),
+    ])
+  );
+}
+
 export const RETRY_STRATEGIES = {
   NONE: 'none',
   LINEAR: 'linear',
@@ -21,7 +67,7 @@ export class EnhancedError extends Error {
     this.name = 'EnhancedError';
     this.timestamp = new Date().toISOString();
     this.category = options.category || ERROR_CATEGORIES.UNKNOWN;
-    this.context = options.context || {};
+    this.context = redactSecrets(options.context || {});
     this.originalError = options.originalError || null;
     this.shouldRetry =
       options.shouldRetry !== undefined ? options.shouldRetry : false;
@@ -68,6 +114,17 @@ export class GlobalErrorHandler {
    * Simple error classification
    */
   classifyError(error) {
+    // Errors created with an explicit category keep their classification
+    if (error instanceof EnhancedError) {
+      return {
+        category: error.category,
+        shouldRetry: error.shouldRetry,
+        retryStrategy: error.retryStrategy,
+        maxRetries: error.maxRetries,
+        userMessage: error.userMessage,
+      };
+    }
+
     // Simple error classification logic
     const errorType = this._classifyError(error);
     const shouldRetry = this._shouldRetry(errorType);
@@ -92,11 +149,16 @@ export class GlobalErrorHandler {
     // Simple user messages
     const userMessages = {
       [ERROR_CATEGORIES.NETWORK]: 'Network issue detected. Retrying...',
+      [ERROR_CATEGORIES.PROXY]: 'Proxy error. Retrying with another proxy...',
       [ERROR_CATEGORIES.BROWSER]: 'Browser error. Retrying...',
       [ERROR_CATEGORIES.AI]: 'AI service error. Continuing...',
       [ERROR_CATEGORIES.FILE]: 'File access error. Check permissions.',
       [ERROR_CATEGORIES.RATE_LIMIT]: 'Rate limit exceeded. Please wait.',
       [ERROR_CATEGORIES.TIMEOUT]: 'Operation timed out. Retrying...',
+      [ERROR_CATEGORIES.ROBOTS_BLOCKED]:
+        'URL is disallowed by robots.txt for the configured user agent.',
+      [ERROR_CATEGORIES.VALIDATION]: 'Invalid options. Check the request.',
+      [ERROR_CATEGORIES.CANCELLED]: 'Scraping was cancelled.',
     };
 
     return {
@@ -121,7 +183,10 @@ export class GlobalErrorHandler {
       retryStrategy: classification.retryStrategy,
       maxRetries: classification.maxRetries,
       userMessage: classification.userMessage,
-      context,
+      context:
+        error instanceof EnhancedError
+          ? { ...error.context, ...context }
+          : context,
       originalError: error,
     });
 
@@ -130,11 +195,11 @@ export class GlobalErrorHandler {
 
     // Simple logging
     console.error(
-      `❌ [${enhancedError.category}] ${enhancedError.userMessage}`
+      `❌ [${enhancedError.category}] ${redactSecrets(enhancedError.userMessage)}`
     );
     if (error.stack) {
       console.error(
-        `   Stack: ${error.stack.split('\n').slice(0, 2).join(' → ')}`
+        `   Stack: ${redactSecrets(error.stack.split('\n').slice(0, 2).join(' → '))}`
       );
     }
 
@@ -190,6 +255,21 @@ export class GlobalErrorHandler {
     const message = error.message?.toLowerCase() || '';
     const stack = error.stack?.toLowerCase() || '';
 
+    // Aborted through an AbortSignal
+    if (error.name === 'AbortError' || error.code === 'ABORT_ERR') {
+      return ERROR_CATEGORIES.CANCELLED;
+    }
+
+    // Proxy errors, checked first as Chromium reports them as connection failures
+    if (
+      /err_proxy|err_tunnel_connection_failed|err_socks|err_no_supported_proxies|proxy authentication/.test(
+        message
+      ) ||
+      error.status === 407
+    ) {
+      return ERROR_CATEGORIES.PROXY;
+    }
+
     // Network errors
     if (
       message.includes('network') ||
@@ -255,6 +335,7 @@ export class GlobalErrorHandler {
   _shouldRetry(errorType) {
     const retryableErrors = [
       ERROR_CATEGORIES.NETWORK,
+      ERROR_CATEGORIES.PROXY,
       ERROR_CATEGORIES.TIMEOUT,
       ERROR_CATEGORIES.BROWSER,
       ERROR_CATEGORIES.UNKNOWN,
@@ -315,3 +396,29 @@ export function getRetryConfig(error) {
     maxRetries: classification.maxRetries,
   };
 }
+
+/**
+ * Create the non-retryable error reported when a scrape is cancelled
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {EnhancedError} Cancellation error
+ */
+export function createCancelledError(signal) {
+  return new EnhancedError('Scraping cancelled', {
+    category: ERROR_CATEGORIES.CANCELLED,
+    shouldRetry: false,
+    userMessage: 'Scraping was cancelled.',
+    originalError: signal?.reason || null,
+  });
+}
+
+/**
+ * Throw a cancellation error once the signal is aborted
+ * Used at checkpoints and at the top of catch blocks, so errors caused by
+ * closing the browser on abort are reported as a cancellation.
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError(signal);
+  }
+}
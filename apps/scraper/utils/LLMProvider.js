@@ -0,0 +1,238 @@
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+import { LLM_MODEL_CONFIG, LLM_PROVIDER_DEFAULTS } from '../config.js';
+import { createError, ERROR_CATEGORIES } from './GlobalErrorHandler.js';
+import { getKey } from './KeyManager.js';
+
+// Rough token estimate used to keep prompts inside a model's context window
+const CHARS_PER_TOKEN = 4;
+
+// Known model families, first match wins. contextTokens is the input window and
+// structuredOutput tells whether the provider enforces a JSON schema natively.
+const MODEL_CAPABILITIES = [
+  {
+    provider: 'google',
+    pattern: /^gemini-2\.5/,
+    contextTokens: 1048576,
+    structuredOutput: true,
+    thinking: true,
+  },
+  {
+    provider: 'openai',
+    pattern: /^gpt-4\.1/,
+    contextTokens: 1047576,
+    structuredOutput: true,
+  },
+  {
+    provider: 'openai',
+    pattern: /^gpt-5/,
+    contextTokens: 400000,
+    structuredOutput: true,
+  },
+  {
+    provider: 'openai',
+    pattern: /^o[134]/,
+    contextTokens: 200000,
+    structuredOutput: true,
+  },
+  {
+    provider: 'anthropic',
+    pattern: /^claude/,
+    contextTokens: 200000,
+    structuredOutput: true,
+  },
+];
+
+// Used when a model isn't in MODEL_CAPABILITIES
+const PROVIDER_CAPABILITIES = {
+  google: { contextTokens: 1048576, structuredOutput: true, thinking: false },
+  openai: { contextTokens: 128000, structuredOutput: true, thinking: false },
+  anthropic: { contextTokens: 200000, structuredOutput: true, thinking: false },
+  'openai-compatible': {
+    contextTokens: 8192,
+    structuredOutput: false,
+    thinking: false,
+  },
+};
+
+export const LLM_PROVIDERS = Object.keys(LLM_PROVIDER_DEFAULTS);
+
+/**
+ * Fill in a per-call LLM config from the environment and provider defaults
+ * Settings from LLM_MODEL_CONFIG only apply when the call uses the configured provider.
+ * @param {Object} llmConfig - Per-call overrides ({ provider, modelName, smallModel, apiKey, baseURL, contextTokens, structuredOutput })
+ * @returns {Object} - Complete LLM config
+ */
+export function resolveLLMConfig(llmConfig = LLM_MODEL_CONFIG) {
+  const provider = llmConfig.provider || LLM_MODEL_CONFIG.provider;
+  const defaults = LLM_PROVIDER_DEFAULTS[provider];
+
+  if (!defaults) {
+    throw createError(
+      `Unknown LLM provider "${provider}" (expected one of: ${LLM_PROVIDERS.join(', ')})`,
+      {
+        category: ERROR_CATEGORIES.AI,
+        shouldRetry: false,
+        context: { provider },
+      }
+    );
+  }
+
+  const base =
+    provider === LLM_MODEL_CONFIG.provider ? LLM_MODEL_CONFIG : defaults;
+
+  return {
+    provider,
+    modelName: llmConfig.modelName || base.modelName,
+    // An explicit modelName also replaces the provider's default small model
+    smallModel: llmConfig.smallModel || llmConfig.modelName || base.smallModel,
+    baseURL: llmConfig.baseURL || base.baseURL,
+    contextTokens: llmConfig.contextTokens || base.contextTokens,
+    structuredOutput: llmConfig.structuredOutput,
+    get apiKey() {
+      return llmConfig.apiKey || resolveApiKey(provider);
+    },
+  };
+}
+
+/**
+ * Look up the API key for a provider (Gemini keys rotate through KeyManager)
+ * @param {string} provider - Provider name
+ * @returns {string} - API key, or '' when none is configured
+ */
+function resolveApiKey(provider) {
+  if (provider === LLM_MODEL_CONFIG.provider) {
+    return LLM_MODEL_CONFIG.apiKey;
+  }
+
+  if (provider === 'google') {
+    try {
+      return getKey() || '';
+    } catch (error) {
+      console.warn('Warning: Could not get API key:', error.message);
+      return '';
+    }
+  }
+
+  return process.env[LLM_PROVIDER_DEFAULTS[provider].apiKeyEnv] || '';
+}
+
+/**
+ * Get context size and feature support for a model
+ * @param {string} provider - Provider name
+ * @param {string} modelName - Model identifier
+ * @param {Object} overrides - Explicit { contextTokens, structuredOutput } from the config
+ * @returns {{contextTokens: number, structuredOutput: boolean, thinking: boolean}} - Model capabilities
+ */
+export function getModelCapabilities(provider, modelName, overrides = {}) {
+  const known = MODEL_CAPABILITIES.find(
+    entry => entry.provider === provider && entry.pattern.test(modelName)
+  );
+  const capabilities = {
+    ...PROVIDER_CAPABILITIES[provider],
+    ...(known && {
+      contextTokens: known.contextTokens,
+      structuredOutput: known.structuredOutput,
+      thinking: !!known.thinking,
+    }),
+  };
+
+  if (overrides.contextTokens) {
+    capabilities.contextTokens = overrides.contextTokens;
+  }
+  if (typeof overrides.structuredOutput === 'boolean') {
+    capabilities.structuredOutput = overrides.structuredOutput;
+  }
+  return capabilities;
+}
+
+/**
+ * Create the language model for an AI call
+ * @param {Object} llmConfig - Per-call LLM config (see resolveLLMConfig)
+ * @param {Object} options - Options
+ * @param {boolean} options.small - Use the config's smallModel instead of modelName
+ * @param {number} options.thinkingBudget - Thinking tokens for models that support it
+ * @returns {{model: Object, provider: string, modelName: string, capabilities: Object, providerOptions: Object}} - Model and call settings
+ */
+export function getLanguageModel(llmConfig = LLM_MODEL_CONFIG, options = {}) {
+  const config = resolveLLMConfig(llmConfig);
+  const modelName = options.small ? config.smallModel : config.modelName;
+  const capabilities = getModelCapabilities(config.provider, modelName, config);
+  const providerOptions = {};
+  let model;
+
+  switch (config.provider) {
+    case 'openai':
+      model = createOpenAI({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+      })(modelName);
+      break;
+    case 'anthropic':
+      model = createAnthropic({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+      })(modelName);
+      break;
+    case 'openai-compatible':
+      model = createOpenAICompatible({
+        name: 'openai-compatible',
+        apiKey: config.apiKey || undefined,
+        baseURL: config.baseURL,
+        supportsStructuredOutputs: capabilities.structuredOutput,
+      })(modelName);
+      break;
+    default:
+      model = createGoogleGenerativeAI({ apiKey: config.apiKey })(modelName);
+      if (capabilities.thinking && options.thinkingBudget) {
+        providerOptions.google = {
+          thinkingConfig: { thinkingBudget: options.thinkingBudget },
+        };
+      }
+  }
+
+  return {
+    model,
+    provider: config.provider,
+    modelName,
+    capabilities,
+    providerOptions,
+  };
+}
+
+/**
+ * Number of content characters that fit in a model's context window
+ * @param {Object} capabilities - Model capabilities from getModelCapabilities
+ * @param {number} reservedTokens - Tokens kept free for instructions and the response
+ * @returns {number} - Maximum content length in characters
+ */
+export function getContextBudget(capabilities, reservedTokens = 8192) {
+  // Small local models can't spare the full reserve, keep at most a quarter
+  const reserved = Math.min(
+    reservedTokens,
+    Math.floor(capabilities.contextTokens / 4)
+  );
+  return (capabilities.contextTokens - reserved) * CHARS_PER_TOKEN;
+}
+
+/**
+ * Trim content so the prompt fits the model's context window
+ * @param {string} content - Content inserted into the prompt
+ * @param {Object} capabilities - Model capabilities from getModelCapabilities
+ * @param {number} reservedTokens - Tokens kept free for instructions and the response
+ * @returns {string} - Content, truncated when it would not fit
+ */
+export function fitToContext(content, capabilities, reservedTokens = 8192) {
+  const maxChars = getContextBudget(capabilities, reservedTokens);
+
+  if (!content || content.length <= maxChars) {
+    return content;
+  }
+
+  console.warn(
+    `⚠️ Content (${content.length} chars) exceeds the model context window, truncating to ${maxChars} chars`
+  );
+  return content.slice(0, maxChars);
+}
@@ -1,6 +1,40 @@
 import { performance } from 'perf_hooks';
 import { cpus, totalmem, freemem } from 'os';
 
+/**
+ * Measure the JS heap used by a page via CDP
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<number>} Used heap in MB (throws if CDP is unavailable)
+ */
+export async function measureBrowserMemoryMB(page) {
+  const client = await page.context().newCDPSession(page);
+  const result = await client.send('Runtime.getHeapUsage');
+  await client.detach();
+
+  // Handle different possible response structures
+  let usedSize = 0;
+  if (result && result.result && result.result.usedSize) {
+    usedSize = result.result.usedSize;
+  } else if (result && result.usedSize) {
+    usedSize = result.usedSize;
+  } else if (result && typeof result === 'object') {
+    // Try to find usedSize in any nested structure
+    const findUsedSize = obj => {
+      if (obj && typeof obj === 'object') {
+        if (obj.usedSize) return obj.usedSize;
+        for (const key in obj) {
+          const found = findUsedSize(obj[key]);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+    usedSize = findUsedSize(result) || 0;
+  }
+
+  return Math.round((usedSize / 1024 / 1024) * 10) / 10;
+}
+
 export class SimplePerformanceMonitor {
   constructor() {
     this.startTime = null;
@@ -182,32 +216,7 @@ export class SimplePerformanceMonitor {
 
       // Try CDP approach first (most accurate)
       try {
-        const client = await page.context().newCDPSession(page);
-        const result = await client.send('Runtime.getHeapUsage');
-        await client.detach();
-
-        // Handle different possible response structures
-        let usedSize = 0;
-        if (result && result.result && result.result.usedSize) {
-          usedSize = result.result.usedSize;
-        } else if (result && result.usedSize) {
-          usedSize = result.usedSize;
-        } else if (result && typeof result === 'object') {
-          // Try to find usedSize in any nested structure
-          const findUsedSize = obj => {
-            if (obj && typeof obj === 'object') {
-              if (obj.usedSize) return obj.usedSize;
-              for (const key in obj) {
-                const found = findUsedSize(obj[key]);
-                if (found) return found;
-              }
-            }
-            return null;
-          };
-          usedSize = findUsedSize(result) || 0;
-        }
-
-        return Math.round((usedSize / 1024 / 1024) * 10) / 10;
+        return await measureBrowserMemoryMB(page);
       } catch {
         // Fallback to system memory estimation
         const currentSystemMem = this._getSystemMemoryUsedMB();
@@ -0,0 +1,26 @@
+/**
+ * Convert a URL pattern (crawl include/exclude, request blocking) into a RegExp.
+ * Strings wrapped in slashes are regular expressions ("/\/docs\/v\d+/"),
+ * other strings are globs matched against the full URL ("*" stays within a
+ * path segment, "**" crosses segments).
+ * @param {string|RegExp} pattern - Pattern to convert
+ * @returns {RegExp} - Compiled pattern
+ */
+export function patternToRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexLiteral) {
+    return new RegExp(regexLiteral[1], regexLiteral[2]);
+  }
+
+  const source = pattern
+    .split('**')
+    .map(part =>
+      part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')
+    )
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
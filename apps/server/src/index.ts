@@ -7,20 +7,327 @@ import { z } from 'zod';
 import { serve } from '@hono/node-server';
 // @ts-ignore - Importing from workspace dependency
 import { scrapeWithStreaming } from 'scraper/WebScraper.js';
+// @ts-ignore - Importing from workspace dependency
+import { BrowserPool } from 'scraper/browser-ops/BrowserPool.js';
+// @ts-ignore - Importing from workspace dependency
+import { crawl, scrapeSitemap } from 'scraper/core/Crawler.js';
+// @ts-ignore - Importing from workspace dependency
+import { paginate } from 'scraper/core/Paginator.js';
+// @ts-ignore - Importing from workspace dependency
+import { formatResult, renderFormats } from 'scraper/core/OutputFormatter.js';
+// @ts-ignore - Importing from workspace dependency
+import { parseCookies } from 'scraper/utils/AuthManager.js';
+// @ts-ignore - Importing from workspace dependency
+import { getProxyStats } from 'scraper/utils/ProxyManager.js';
+import { JobQueue } from './jobs/queue';
+import { JobStore } from './jobs/store';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const CookieSchema = z
+  .object({
+    name: z.string(),
+    value: z.string(),
+    url: z.string().optional(),
+    domain: z.string().optional(),
+    path: z.string().optional(),
+    expires: z.number().optional(),
+    httpOnly: z.boolean().optional(),
+    secure: z.boolean().optional(),
+    sameSite: z.enum(['Strict', 'Lax', 'None']).optional(),
+  })
+  .passthrough();
+
+// Credentials for pages behind a login, files are never read from the server's disk
+const AuthSchema = z.object({
+  // Cookie objects, or the content of a Netscape cookies.txt / JSON cookie export
+  cookies: z
+    .union([
+      z.array(CookieSchema),
+      z.string().transform(content => parseCookies(content)),
+    ])
+    .optional(),
+  headers: z.record(z.string()).optional(),
+  httpCredentials: z
+    .object({ username: z.string().min(1), password: z.string() })
+    .optional(),
+  // Playwright storageState object ({ cookies, origins })
+  storageState: z
+    .object({
+      cookies: z.array(CookieSchema).optional().default([]),
+      origins: z.array(z.any()).optional().default([]),
+    })
+    .optional(),
+});
+
+const RequestPolicyPresetSchema = z.enum(['fast', 'faithful', 'minimal']);
+
+// A preset, or a policy object that may extend one (see scraper/browser-ops/RequestPolicy.js)
+const RequestPolicySchema = z.union([
+  RequestPolicyPresetSchema,
+  z.object({
+    preset: RequestPolicyPresetSchema.optional(),
+    resourceTypes: z.array(z.string()).optional(),
+    urlPatterns: z.array(z.string()).optional(),
+    allow: z.array(z.string()).optional(),
+    blockTrackers: z.boolean().optional(),
+    blockDomains: z.array(z.string()).optional(),
+    blockThirdParty: z.union([z.boolean(), z.array(z.string())]).optional(),
+  }),
+]);
+
+// A condition string ("selector:.price", "hidden:.spinner", "idle:500"...) or object
+// (see scraper/browser-ops/WaitConditions.js)
+const WaitConditionSchema = z.union([
+  z.string().min(1),
+  z.object({
+    selector: z.string().optional(),
+    state: z.enum(['visible', 'attached', 'hidden', 'detached']).optional(),
+    text: z.string().optional(),
+    function: z.string().optional(),
+    delay: z.number().int().min(0).optional(),
+    idle: z.number().int().min(0).optional(),
+    timeout: z.number().int().min(1).optional(),
+  }),
+]);
+
+// Scripted step run before extraction, checked in detail by the scraper
+// (see scraper/browser-ops/PageActions.js)
+const PageActionSchema = z
+  .object({
+    action: z.enum([
+      'click',
+      'type',
+      'press',
+      'select',
+      'hover',
+      'scroll',
+      'wait',
+      'evaluate',
+    ]),
+  })
+  .passthrough();
+
 // Request validation schema
 const ScrapeRequestSchema = z.object({
   url: z.string().url('Invalid URL format'),
   output: z.string().optional().default('scraped'),
   query: z.string().optional().default(''),
   mode: z.enum(['normal', 'beast']).optional().default('beast'),
+  respectRobotsTxt: z.boolean().optional(),
+  schema: z.record(z.any()).optional(),
+  instruction: z.string().optional(),
+  // true uses the response cache, false bypasses it, 'refresh' re-scrapes and overwrites it (default: SCRAPER_CACHE)
+  cache: z.union([z.boolean(), z.literal('refresh')]).optional(),
+  // API keys and endpoints stay in the server environment, requests only pick models
+  llm: z
+    .object({
+      provider: z
+        .enum(['google', 'openai', 'anthropic', 'openai-compatible'])
+        .optional(),
+      modelName: z.string().optional(),
+      smallModel: z.string().optional(),
+    })
+    .optional(),
+  // Extra renderings of the result returned in data.formats (/scrape-sync and jobs)
+  formats: z.array(z.enum(['markdown', 'json', 'text', 'html'])).optional(),
+  // Prepend YAML front matter (source URL, scrape time, title...) to the markdown
+  frontMatter: z.boolean().optional(),
+  // Screenshot/PDF of the rendered page, returned base64-encoded in data.captures
+  screenshot: z.enum(['full', 'viewport']).optional(),
+  screenshotType: z.enum(['png', 'jpeg']).optional(),
+  pdf: z.boolean().optional(),
+  auth: AuthSchema.optional(),
+  // Proxy URL, or a list rotated per attempt (default: the server's PROXY_LIST)
+  proxy: z.union([z.string(), z.array(z.string()).min(1)]).optional(),
+  // Requests blocked while the page loads (default: the server's REQUEST_POLICY)
+  requestPolicy: RequestPolicySchema.optional(),
+  // Wait for these before extraction instead of for network idle, in order
+  waitFor: z
+    .union([WaitConditionSchema, z.array(WaitConditionSchema)])
+    .optional(),
+  waitTimeout: z.number().int().min(1).optional(),
+  // Click/type/press/select/hover/scroll/wait/evaluate steps, results in data.actions
+  actions: z.array(PageActionSchema).max(50).optional(),
+});
+
+// Shared pool of warm browsers, enabled by setting BROWSER_POOL_SIZE
+const browserPool = process.env.BROWSER_POOL_SIZE ? new BrowserPool() : null;
+browserPool
+  ?.warmUp()
+  .catch((error: Error) =>
+    console.error('⚠️ Failed to warm up browser pool:', error.message)
+  );
+
+const CrawlRequestSchema = ScrapeRequestSchema.omit({
+  formats: true,
+  screenshot: true,
+  screenshotType: true,
+  pdf: true,
+}).extend({
+  maxDepth: z.number().int().min(0).max(10).optional(),
+  maxPages: z.number().int().min(1).max(500).optional(),
+  include: z.array(z.string()).optional(),
+  exclude: z.array(z.string()).optional(),
+  sameOrigin: z.boolean().optional(),
+  delay: z.number().int().min(0).optional(),
+  sitemap: z.boolean().optional().default(false),
 });
 
+const PaginateRequestSchema = ScrapeRequestSchema.omit({
+  formats: true,
+  screenshot: true,
+  screenshotType: true,
+  pdf: true,
+}).extend({
+  maxPages: z.number().int().min(1).max(50).optional(),
+  // CSS selector of the "next" link or button, detected when omitted
+  nextSelector: z.string().min(1).optional(),
+  // One document with page markers, or only the per-page markdown
+  combine: z.boolean().optional(),
+  delay: z.number().int().min(0).optional(),
+});
+
+type ScrapeRequest = z.infer<typeof ScrapeRequestSchema>;
+
+/**
+ * Screenshots and PDFs as returned by the API (base64 data with its MIME type)
+ */
+function toCaptureResponse(captures: any[] | undefined) {
+  return captures?.map(({ kind, mimeType, fullPage, data }) => ({
+    kind,
+    mimeType,
+    fullPage,
+    data,
+  }));
+}
+
+/**
+ * Run a scrape for a validated request and build the /scrape-sync response body
+ * (also stored as the result of background jobs)
+ */
+async function runScrapeRequest(
+  request: ScrapeRequest,
+  progressCallback: ((progress: any) => void) | null = null,
+  signal: AbortSignal | null = null
+) {
+  const {
+    url,
+    output,
+    query,
+    mode,
+    respectRobotsTxt,
+    schema,
+    instruction,
+    cache,
+    llm,
+    formats,
+    frontMatter,
+    screenshot,
+    screenshotType,
+    pdf,
+    auth,
+    proxy,
+    requestPolicy,
+    waitFor,
+    waitTimeout,
+    actions,
+  } = request;
+
+  const scrapingResult = await scrapeWithStreaming(url, {
+    outputFilename: output,
+    query,
+    mode,
+    respectRobotsTxt,
+    schema,
+    instruction,
+    cache,
+    llm,
+    frontMatter,
+    screenshot,
+    screenshotType,
+    pdf,
+    auth,
+    proxy,
+    requestPolicy,
+    waitFor,
+    waitTimeout,
+    actions,
+    progressCallback,
+    browserPool,
+    signal,
+  });
+  const captures = toCaptureResponse(scrapingResult?.captures);
+
+  if (scrapingResult && scrapingResult.success) {
+    const meta = { url, mode, query, frontMatter };
+    return {
+      success: true as const,
+      data: {
+        markdown: formatResult(scrapingResult, 'markdown', meta),
+        html: scrapingResult.html,
+        links: scrapingResult.links,
+        images: scrapingResult.images,
+        ...(schema && {
+          data: scrapingResult.data,
+          dataValid: scrapingResult.dataValid,
+          dataErrors: scrapingResult.dataErrors,
+        }),
+        metadata: {
+          // Page title, description, OpenGraph/Twitter cards, JSON-LD, canonical...
+          ...scrapingResult.metadata,
+          url: url,
+          query: query,
+          mode: mode,
+          cached: scrapingResult.cached,
+          processingTime: scrapingResult.processingTime,
+          contentLength: scrapingResult.markdown?.length || 0,
+          requests: scrapingResult.requests,
+        },
+        ...(formats && {
+          formats: renderFormats(scrapingResult, formats, meta),
+        }),
+        ...(captures && { captures }),
+        ...(scrapingResult.actions && { actions: scrapingResult.actions }),
+      },
+    };
+  }
+
+  return {
+    success: false as const,
+    error: scrapingResult?.error || 'Scraping failed',
+    enhancedError: scrapingResult?.enhancedError || null,
+    // What the page looked like when the scrape failed
+    ...(captures && { captures }),
+    // Which scripted step failed
+    ...(scrapingResult?.actions && { actions: scrapingResult.actions }),
+  };
+}
+
+// Background scrape jobs, persisted so they survive a restart
+const jobQueue = new JobQueue({
+  store: new JobStore(
+    process.env.JOBS_DIR || resolve(__dirname, '../data/jobs')
+  ),
+  concurrency: Number(process.env.JOBS_CONCURRENCY) || 2,
+  retentionMs: (Number(process.env.JOBS_RETENTION_HOURS) || 24) * 3600000,
+  run: (request, progressCallback, signal) =>
+    runScrapeRequest(
+      ScrapeRequestSchema.parse(request),
+      progress => {
+        // The final result is stored on the job, keep it out of the event log
+        if (progress.type !== 'stream_complete') {
+          progressCallback(progress);
+        }
+      },
+      signal
+    ),
+});
+await jobQueue.init();
+
 const app = new Hono();
 
 // Middleware
@@ -36,7 +343,7 @@ app.use(
       process.env.CORS_ORIGIN || '*',
     ],
     allowHeaders: ['Content-Type', 'Authorization', 'Cache-Control'],
-    allowMethods: ['GET', 'POST', 'OPTIONS'],
+    allowMethods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
     credentials: true,
   })
 );
@@ -60,7 +367,14 @@ app.get('/health', c => {
     timestamp: new Date().toISOString(),
     environment: {
       googleApiKeyExists: !!process.env.GOOGLE_GEMINI_KEY,
+      llmProvider: process.env.LLM_PROVIDER || 'google',
+      cache:
+        process.env.SCRAPER_CACHE === 'true'
+          ? process.env.CACHE_BACKEND || 'fs'
+          : 'disabled',
     },
+    browserPool: browserPool ? browserPool.getStats() : null,
+    proxies: getProxyStats(),
   });
 });
 
@@ -70,7 +384,27 @@ app.post('/scrape', async c => {
     const body = await c.req.json();
     const validatedData = ScrapeRequestSchema.parse(body);
 
-    const { url, output, query, mode } = validatedData;
+    const {
+      url,
+      output,
+      query,
+      mode,
+      respectRobotsTxt,
+      schema,
+      instruction,
+      cache,
+      llm,
+      frontMatter,
+      screenshot,
+      screenshotType,
+      pdf,
+      auth,
+      proxy,
+      requestPolicy,
+      waitFor,
+      waitTimeout,
+      actions,
+    } = validatedData;
 
     // Set headers for Server-Sent Events
     c.header('Content-Type', 'text/event-stream');
@@ -85,6 +419,10 @@ app.post('/scrape', async c => {
       let scrapingResult = null;
       let hasError = false;
 
+      // Stop scraping (and close the browser) when the client disconnects
+      const controller = new AbortController();
+      stream.onAbort(() => controller.abort());
+
       try {
         const progressCallback = (progress: any) => {
           stream.write(
@@ -96,13 +434,29 @@ app.post('/scrape', async c => {
           );
         };
 
-        scrapingResult = await scrapeWithStreaming(
-          url,
-          output,
+        scrapingResult = await scrapeWithStreaming(url, {
+          outputFilename: output,
           query,
           mode,
-          progressCallback
-        );
+          respectRobotsTxt,
+          schema,
+          instruction,
+          cache,
+          llm,
+          frontMatter,
+          screenshot,
+          screenshotType,
+          pdf,
+          auth,
+          proxy,
+          requestPolicy,
+          waitFor,
+          waitTimeout,
+          actions,
+          progressCallback,
+          browserPool,
+          signal: controller.signal,
+        });
       } catch (error: any) {
         hasError = true;
         console.error('Scraping error:', error);
@@ -128,17 +482,36 @@ app.post('/scrape', async c => {
             result: {
               success: scrapingResult.success,
               data: {
-                markdown: scrapingResult.markdown,
+                markdown: formatResult(scrapingResult, 'markdown', {
+                  url,
+                  mode,
+                  query,
+                  frontMatter,
+                }),
+                ...(schema && {
+                  data: scrapingResult.data,
+                  dataValid: scrapingResult.dataValid,
+                  dataErrors: scrapingResult.dataErrors,
+                }),
                 metadata: {
+                  ...scrapingResult.metadata,
                   url: url,
                   output: output,
                   query: query,
                   mode: mode,
+                  cached: scrapingResult.cached,
                   processingTime: scrapingResult.processingTime,
                   contentLength: {
                     markdown: scrapingResult.markdown?.length || 0,
                   },
+                  requests: scrapingResult.requests,
                 },
+                ...(scrapingResult.captures && {
+                  captures: toCaptureResponse(scrapingResult.captures),
+                }),
+                ...(scrapingResult.actions && {
+                  actions: scrapingResult.actions,
+                }),
               },
               enhancedError: scrapingResult.enhancedError || null,
             },
@@ -188,39 +561,23 @@ app.post('/scrape-sync', async c => {
     const body = await c.req.json();
     const validatedData = ScrapeRequestSchema.parse(body);
 
-    const { url, output, query, mode } = validatedData;
-
-    const scrapingResult = await scrapeWithStreaming(
-      url,
-      output,
-      query,
-      mode,
-      null
+    // The request signal aborts when the client disconnects
+    const response = await runScrapeRequest(
+      validatedData,
+      null,
+      c.req.raw.signal
     );
 
-    if (scrapingResult && scrapingResult.success) {
-      return c.json({
-        success: true,
-        data: {
-          markdown: scrapingResult.markdown,
-          html: scrapingResult.html,
-          metadata: {
-            url: url,
-            query: query,
-            mode: mode,
-            processingTime: scrapingResult.processingTime,
-            contentLength: scrapingResult.markdown?.length || 0,
-          },
-        },
-      });
+    if (response.success) {
+      return c.json(response);
     } else {
       return c.json(
-        {
-          success: false,
-          error: scrapingResult?.error || 'Scraping failed',
-          enhancedError: scrapingResult?.enhancedError || null,
-        },
-        500
+        response,
+        response.enhancedError?.category === 'robots_blocked'
+          ? 403
+          : response.enhancedError?.category === 'validation'
+            ? 400
+            : 500
       );
     }
   } catch (error: any) {
@@ -236,6 +593,208 @@ app.post('/scrape-sync', async c => {
   }
 });
 
+// Multi-page crawl endpoint, follows links from the start URL
+app.post('/crawl', async c => {
+  try {
+    const body = await c.req.json();
+    const validatedData = CrawlRequestSchema.parse(body);
+
+    const { url, output, query, mode, sitemap, ...crawlOptions } =
+      validatedData;
+
+    const crawlResult = await (sitemap ? scrapeSitemap : crawl)(url, {
+      ...crawlOptions,
+      outputFilename: output,
+      query,
+      mode,
+      browserPool,
+      signal: c.req.raw.signal,
+    });
+
+    return c.json(
+      {
+        success: crawlResult.success,
+        data: {
+          pages: crawlResult.pages.map((page: any) => ({
+            url: page.url,
+            depth: page.depth,
+            success: page.success,
+            markdown: page.markdown,
+            ...(crawlOptions.schema && {
+              data: page.data,
+              dataValid: page.dataValid,
+            }),
+            error: page.error,
+          })),
+          manifest: crawlResult.manifest,
+        },
+      },
+      crawlResult.success ? 200 : 500
+    );
+  } catch (error: any) {
+    console.error('Crawl error:', error);
+    return c.json(
+      {
+        success: false,
+        error: error.message,
+        details: error.errors || error.message,
+      },
+      400
+    );
+  }
+});
+
+// Pagination endpoint, follows the "next page" control of a listing
+app.post('/paginate', async c => {
+  try {
+    const body = await c.req.json();
+    const validatedData = PaginateRequestSchema.parse(body);
+
+    const { url, output, query, mode, ...paginateOptions } = validatedData;
+
+    const paginateResult = await paginate(url, {
+      ...paginateOptions,
+      outputFilename: output,
+      query,
+      mode,
+      browserPool,
+      signal: c.req.raw.signal,
+    });
+
+    return c.json(
+      {
+        success: paginateResult.success,
+        data: {
+          markdown: paginateResult.markdown,
+          pages: paginateResult.pages.map((page: any) => ({
+            index: page.index,
+            url: page.url,
+            success: page.success,
+            markdown: page.markdown,
+            nextPage: page.nextPage,
+            ...(paginateOptions.schema && {
+              data: page.data,
+              dataValid: page.dataValid,
+            }),
+            error: page.error,
+          })),
+          stoppedBecause: paginateResult.stoppedBecause,
+        },
+      },
+      paginateResult.success ? 200 : 500
+    );
+  } catch (error: any) {
+    console.error('Pagination error:', error);
+    return c.json(
+      {
+        success: false,
+        error: error.message,
+        details: error.errors || error.message,
+      },
+      400
+    );
+  }
+});
+
+// Background jobs: create, poll, follow progress and cancel
+app.post('/jobs', async c => {
+  try {
+    const body = await c.req.json();
+    const validatedData = ScrapeRequestSchema.parse(body);
+
+    const job = await jobQueue.create(validatedData);
+    return c.json({ success: true, job: jobQueue.toJSON(job) }, 202);
+  } catch (error: any) {
+    console.error('Job creation error:', error);
+    return c.json(
+      {
+        success: false,
+        error: error.message,
+        details: error.errors || error.message,
+      },
+      400
+    );
+  }
+});
+
+app.get('/jobs/:id', c => {
+  const job = jobQueue.get(c.req.param('id'));
+  if (!job) {
+    return c.json({ success: false, error: 'Job not found' }, 404);
+  }
+  return c.json({ success: true, job: jobQueue.toJSON(job) });
+});
+
+app.get('/jobs/:id/events', c => {
+  const job = jobQueue.get(c.req.param('id'));
+  if (!job) {
+    return c.json({ success: false, error: 'Job not found' }, 404);
+  }
+
+  // Resume after the last event the client saw (SSE reconnects send Last-Event-ID)
+  const lastSeq = Number(c.req.header('Last-Event-ID') ?? c.req.query('after'));
+  const after = Number.isInteger(lastSeq) ? lastSeq : -1;
+
+  c.header('Content-Type', 'text/event-stream');
+  c.header('Cache-Control', 'no-cache');
+  c.header('Connection', 'keep-alive');
+  c.header('X-Accel-Buffering', 'no');
+
+  return stream(c, async stream => {
+    const writeEvent = (event: any) =>
+      stream.write(`id: ${event.seq}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    for (const event of job.events) {
+      if (event.seq > after) {
+        await writeEvent(event);
+      }
+    }
+
+    if (!jobQueue.isFinished(job)) {
+      await new Promise<void>(resolve => {
+        const listener = (event: any) => {
+          writeEvent(event);
+          if (jobQueue.isFinished(job)) {
+            done();
+          }
+        };
+        const done = () => {
+          jobQueue.off(`job:${job.id}`, listener);
+          resolve();
+        };
+        jobQueue.on(`job:${job.id}`, listener);
+        stream.onAbort(done);
+      });
+    }
+
+    await stream.write(
+      `data: ${JSON.stringify({
+        type: 'done',
+        status: job.status,
+        timestamp: new Date().toISOString(),
+      })}\n\n`
+    );
+  });
+});
+
+app.delete('/jobs/:id', async c => {
+  const job = await jobQueue.cancel(c.req.param('id'));
+  if (!job) {
+    return c.json({ success: false, error: 'Job not found' }, 404);
+  }
+  if (job.status !== 'cancelled') {
+    return c.json(
+      {
+        success: false,
+        error: `Job already ${job.status}`,
+        job: jobQueue.toJSON(job),
+      },
+      409
+    );
+  }
+  return c.json({ success: true, job: jobQueue.toJSON(job) });
+});
+
 app.onError((err, c) => {
   console.error('Application error:', err);
   return c.json(
@@ -261,6 +820,12 @@ app.notFound(c => {
           'GET /health',
           'POST /scrape',
           'POST /scrape-sync',
+          'POST /crawl',
+          'POST /paginate',
+          'POST /jobs',
+          'GET /jobs/:id',
+          'GET /jobs/:id/events',
+          'DELETE /jobs/:id',
         ],
         timestamp: new Date().toISOString(),
       },
@@ -271,6 +836,16 @@ app.notFound(c => {
 
 const port = process.env.PORT || 8080;
 
+// Close pooled browsers on shutdown so no Chromium processes are left behind
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    if (browserPool) {
+      await browserPool.close();
+    }
+    process.exit(0);
+  });
+}
+
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
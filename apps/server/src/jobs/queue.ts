@@ -0,0 +1,270 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+// @ts-ignore - Importing from workspace dependency
+import { redactSecrets } from 'scraper/utils/GlobalErrorHandler.js';
+import {
+  type Job,
+  type JobEvent,
+  type JobStatus,
+  type JobStore,
+  TERMINAL_STATUSES,
+} from './store';
+
+// Progress events kept per job for replay, older ones are dropped first
+const MAX_EVENTS_PER_JOB = 1000;
+// Running jobs are written to disk at most this often while events stream in
+const PERSIST_INTERVAL_MS = 1000;
+// How often finished jobs past their retention are deleted
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+export type JobRunner = (
+  request: Record<string, any>,
+  progressCallback: (event: Record<string, any>) => void,
+  signal: AbortSignal
+) => Promise<{ success: boolean; [key: string]: any }>;
+
+interface JobQueueOptions {
+  store: JobStore;
+  run: JobRunner;
+  concurrency: number;
+  retentionMs: number;
+}
+
+/**
+ * Runs scrape jobs in the background with a concurrency limit
+ *
+ * Every progressCallback event from the scraper is recorded on the job and
+ * re-emitted as `job:<id>`, so clients can replay and follow a job's progress
+ * at any time. Jobs left queued or running by a previous process are queued
+ * again on startup, unless their request held secrets (see JobStore). Finished
+ * jobs are deleted once they are older than the retention period.
+ */
+export class JobQueue extends EventEmitter {
+  private readonly jobs = new Map<string, Job>();
+  private readonly pending: string[] = [];
+  private readonly persistTimers = new Map<string, NodeJS.Timeout>();
+  // Aborts the scrape of each running job
+  private readonly controllers = new Map<string, AbortController>();
+  private running = 0;
+
+  constructor(private readonly options: JobQueueOptions) {
+    super();
+    // One listener per attached SSE client
+    this.setMaxListeners(0);
+  }
+
+  async init() {
+    await this.options.store.init();
+
+    for (const job of await this.options.store.loadAll()) {
+      this.jobs.set(job.id, job);
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        continue;
+      }
+
+      if (job.resumable === false) {
+        // Its credentials were only in the previous process's memory
+        job.error =
+          'Interrupted by a server restart. Jobs with credentials are not re-run, create it again.';
+        this.setStatus(job, 'failed', { restarted: true });
+        await this.persist(job);
+      } else {
+        // Interrupted by a restart, run it again from the start
+        this.setStatus(job, 'queued', { restarted: true });
+        this.pending.push(job.id);
+      }
+    }
+
+    await this.prune();
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+
+    if (this.pending.length > 0) {
+      console.log(`📋 Re-queued ${this.pending.length} unfinished job(s)`);
+    }
+    this.drain();
+  }
+
+  async create(request: Record<string, any>) {
+    const job: Job = {
+      id: randomUUID(),
+      status: 'queued',
+      request,
+      resumable:
+        JSON.stringify(redactSecrets(request)) === JSON.stringify(request),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      nextSeq: 0,
+    };
+
+    this.jobs.set(job.id, job);
+    this.record(job, { type: 'job_status', status: 'queued' });
+    await this.options.store.save(job);
+
+    this.pending.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  get(id: string) {
+    return this.jobs.get(id) || null;
+  }
+
+  isFinished(job: Job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Cancel a job. Queued jobs never start; a running job's scrape is aborted
+   * and its browser closed.
+   */
+  async cancel(id: string) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) {
+      return job || null;
+    }
+
+    const index = this.pending.indexOf(id);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+    }
+
+    this.setStatus(job, 'cancelled');
+    this.controllers.get(id)?.abort();
+    await this.persist(job);
+    return job;
+  }
+
+  /**
+   * Public view of a job, without its event log or request secrets
+   */
+  toJSON(job: Job) {
+    const { events, nextSeq, ...summary } = job;
+    return {
+      ...summary,
+      request: redactSecrets(summary.request),
+      eventCount: nextSeq,
+    };
+  }
+
+  /**
+   * Delete finished jobs older than the retention period, in memory and on disk
+   */
+  private async prune() {
+    const cutoff = Date.now() - this.options.retentionMs;
+    for (const job of Array.from(this.jobs.values())) {
+      if (
+        this.isFinished(job) &&
+        Date.parse(job.finishedAt || job.createdAt) < cutoff
+      ) {
+        this.jobs.delete(job.id);
+        try {
+          await this.options.store.delete(job.id);
+        } catch (error: any) {
+          console.error(`Could not delete job ${job.id}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  private drain() {
+    while (this.running < this.options.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift() as string);
+      if (job && job.status === 'queued') {
+        this.execute(job);
+      }
+    }
+  }
+
+  private async execute(job: Job) {
+    this.running++;
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    job.startedAt = new Date().toISOString();
+    this.setStatus(job, 'running');
+    await this.persist(job);
+
+    try {
+      const result = await this.options.run(
+        job.request,
+        event => {
+          if (job.status === 'running') {
+            this.record(job, event);
+            this.schedulePersist(job);
+          }
+        },
+        controller.signal
+      );
+
+      if (job.status === 'running') {
+        job.result = result;
+        job.error = result.success ? null : result.error || 'Scraping failed';
+        this.setStatus(job, result.success ? 'completed' : 'failed');
+      }
+    } catch (error: any) {
+      console.error(`Job ${job.id} failed:`, error);
+      if (job.status === 'running') {
+        job.error = error.message;
+        this.setStatus(job, 'failed');
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.running--;
+      await this.persist(job);
+      this.drain();
+    }
+  }
+
+  private setStatus(
+    job: Job,
+    status: JobStatus,
+    details: Record<string, any> = {}
+  ) {
+    job.status = status;
+    if (TERMINAL_STATUSES.includes(status)) {
+      job.finishedAt = new Date().toISOString();
+    }
+    this.record(job, { type: 'job_status', status, ...details });
+  }
+
+  private record(job: Job, event: Record<string, any>) {
+    const entry: JobEvent = {
+      timestamp: new Date().toISOString(),
+      ...event,
+      type: event.type || 'progress',
+      seq: job.nextSeq++,
+    };
+
+    job.events.push(entry);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+      job.events.shift();
+    }
+    this.emit(`job:${job.id}`, entry);
+  }
+
+  private schedulePersist(job: Job) {
+    if (this.persistTimers.has(job.id)) {
+      return;
+    }
+    this.persistTimers.set(
+      job.id,
+      setTimeout(() => {
+        this.persistTimers.delete(job.id);
+        this.persist(job);
+      }, PERSIST_INTERVAL_MS)
+    );
+  }
+
+  private async persist(job: Job) {
+    clearTimeout(this.persistTimers.get(job.id));
+    this.persistTimers.delete(job.id);
+    try {
+      await this.options.store.save(job);
+    } catch (error: any) {
+      console.error(`Could not save job ${job.id}: ${error.message}`);
+    }
+  }
+}
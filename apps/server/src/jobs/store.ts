@@ -0,0 +1,106 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+// @ts-ignore - Importing from workspace dependency
+import { redactSecrets } from 'scraper/utils/GlobalErrorHandler.js';
+
+export type JobStatus =
+  | 'queued'
+  | 'running'
+  | 'completed'
+  | 'failed'
+  | 'cancelled';
+
+export interface JobEvent {
+  seq: number;
+  type: string;
+  timestamp: string;
+  [key: string]: any;
+}
+
+export interface Job {
+  id: string;
+  status: JobStatus;
+  request: Record<string, any>;
+  // False when the request holds secrets, which are never written to disk
+  resumable: boolean;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  result: any;
+  error: string | null;
+  events: JobEvent[];
+  nextSeq: number;
+}
+
+export const TERMINAL_STATUSES: JobStatus[] = [
+  'completed',
+  'failed',
+  'cancelled',
+];
+
+/**
+ * Persists jobs as one JSON file each, so they survive a server restart
+ * Credentials in the request (auth, proxy passwords) are redacted on disk,
+ * they only live in memory while the job runs.
+ */
+export class JobStore {
+  // Pending write per job, so saves of the same job land in order
+  private readonly writes = new Map<string, Promise<void>>();
+
+  constructor(private readonly dir: string) {}
+
+  private path(id: string) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  async init() {
+    await mkdir(this.dir, { recursive: true });
+  }
+
+  async loadAll(): Promise<Job[]> {
+    const jobs: Job[] = [];
+    for (const file of await readdir(this.dir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        jobs.push(JSON.parse(await readFile(join(this.dir, file), 'utf8')));
+      } catch (error: any) {
+        console.warn(
+          `⚠️ Skipping unreadable job file ${file}: ${error.message}`
+        );
+      }
+    }
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async save(job: Job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      // Write then rename, so a crash never leaves a half-written job file
+      const tmpPath = `${this.path(job.id)}.tmp`;
+      await writeFile(
+        tmpPath,
+        JSON.stringify({ ...job, request: redactSecrets(job.request) }),
+        'utf8'
+      );
+      await rename(tmpPath, this.path(job.id));
+    });
+
+    // A failed write must not block the following ones
+    const settled = write.catch(() => {});
+    this.writes.set(job.id, settled);
+    settled.then(() => {
+      if (this.writes.get(job.id) === settled) {
+        this.writes.delete(job.id);
+      }
+    });
+    return write;
+  }
+
+  async delete(id: string) {
+    // Let a pending save land first, so it can't write the file back
+    await this.writes.get(id);
+    await rm(this.path(id), { force: true });
+  }
+}
@@ -0,0 +1,58 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JobQueue } from '../src/jobs/queue';
+import { JobStore } from '../src/jobs/store';
+
+const dirs: string[] = [];
+
+afterAll(async () => {
+  await Promise.all(dirs.map(dir => rm(dir, { recursive: true, force: true })));
+});
+
+/**
+ * Queue over a job directory whose jobs never finish running
+ */
+async function createQueue(dir: string) {
+  const queue = new JobQueue({
+    store: new JobStore(dir),
+    run: () => new Promise(() => {}),
+    concurrency: 1,
+    retentionMs: 60_000,
+  });
+  await queue.init();
+  return queue;
+}
+
+describe('JobStore', () => {
+  test('keeps text typed by actions out of job files', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'sniffhunt-jobs-'));
+    dirs.push(dir);
+    const queue = await createQueue(dir);
+
+    const job = await queue.create({
+      url: 'https://example.com/login',
+      actions: [
+        { action: 'type', selector: '#user', text: 'alice' },
+        { action: 'type', selector: '#password', text: 'hunter2' },
+        { action: 'click', selector: '#submit' },
+      ],
+    });
+    const [file] = await readdir(dir);
+    const saved = await readFile(join(dir, file), 'utf8');
+
+    expect(job.resumable).toBe(false);
+    expect(job.request.actions[1].text).toBe('hunter2');
+    expect(saved).not.toContain('hunter2');
+    expect(saved).not.toContain('alice');
+    expect(JSON.parse(saved).request.actions[2]).toEqual({
+      action: 'click',
+      selector: '#submit',
+    });
+
+    // The typed text is gone after a restart, so the job is not run again
+    const restarted = await createQueue(dir);
+    expect(restarted.get(job.id)).toMatchObject({ status: 'failed' });
+  });
+});